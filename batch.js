@@ -0,0 +1,169 @@
+// Flashes the same firmware onto several boards at once (e.g. a factory station with a
+// USB hub). Every board gets its own `Picoboot`/`Picotool` session so they don't share
+// any state, boards can come from already authorized devices, the permission prompt,
+// or be picked up automatically when they're plugged in while watching. Failures are
+// recorded in the board's result instead of being thrown so one bad board doesn't stop
+// the rest
+//
+// Events (dispatched on the `Batch` instance):
+// * "start":    A board started flashing, `event.detail` is `{serialNumber, chip}`
+// * "progress": `event.detail` is the `Picotool` "progress" detail plus `serialNumber`
+// * "result":   A board finished (or failed), `event.detail` is its entry in `results`
+
+import Picoboot, {PICOBOOT_USB_FILTERS} from "./picoboot.js";
+import Picotool from "./picotool.js";
+
+
+export default class Batch extends EventTarget{
+    #active       = new Map();  // Serial number -> promise of the flash in progress
+    #firmwareName = null;       // Promise for the name put in results
+
+    // `firmware` is anything `Picotool.load()` accepts (UF2, ELF or raw binary). Options:
+    // * verify:      Read back every board before rebooting it, defaults to `true`
+    // * name:        Firmware name for the results, defaults to the program name and
+    //                version from the firmware's binary info
+    // * loadOptions: Other options passed to `Picotool.load()` (e.g. `partition`)
+    // * filters:     `navigator.usb` filters for the boards to flash, defaults to any BOOTSEL device
+    constructor(firmware, options={}){
+        super();
+
+        this.firmware    = firmware;
+        this.verify      = options.verify ?? true;
+        this.name        = options.name ?? null;
+        this.loadOptions = options.loadOptions ?? {};
+        this.filters     = options.filters ?? PICOBOOT_USB_FILTERS;
+
+        // One entry per board flashed (in the order they finished):
+        // * serialNumber, chip
+        // * firmware:   Name of the firmware (see the `name` option)
+        // * success:    If the board was flashed and rebooted
+        // * verified:   `true`/`false` if verified, `null` when verifying was off or didn't get that far
+        // * error:      Error message if it failed, otherwise `null`
+        // * startedAt:  ISO 8601 start time
+        // * durationMS: How long the whole board took
+        this.results = [];
+    }
+
+
+    // Fired by `navigator.usb` when any device is plugged in while watching
+    #onConnect = (event) => {
+        if(Picoboot.matches(event.device, this.filters)){
+            this.flash(event.device);
+        }
+    }
+
+
+    // Name of the firmware for the results, looked up once
+    #getFirmwareName(){
+        if(this.#firmwareName === null){
+            this.#firmwareName = this.name !== null ? Promise.resolve(this.name) : new Picotool(null).info(this.firmware).then(
+                info => info === null || info.programName === null ? null : [info.programName, info.version].filter(part => part !== null).join(" "),
+                () => null
+            );
+        }
+
+        return this.#firmwareName;
+    }
+
+
+    async #flash(device){
+        const started  = Date.now();
+        const picoboot = new Picoboot();
+        const picotool = new Picotool(picoboot);
+
+        let result = {
+            serialNumber: device.serialNumber,
+            chip:         null,
+            firmware:     await this.#getFirmwareName(),
+            success:      false,
+            verified:     null,
+            error:        null,
+            startedAt:    new Date(started).toISOString(),
+            durationMS:   0
+        };
+
+        picotool.addEventListener("progress", (event) => {
+            this.dispatchEvent(new CustomEvent("progress", {detail: {serialNumber: device.serialNumber, ...event.detail}}));
+        });
+
+        try{
+            await picoboot.open(device);
+            result.chip = picoboot.chip();
+            this.dispatchEvent(new CustomEvent("start", {detail: {serialNumber: device.serialNumber, chip: result.chip}}));
+
+            await picotool.load(this.firmware, undefined, {...this.loadOptions, verify: this.verify});
+            result.success  = true;
+            result.verified = this.verify ? true : null;
+        }catch(error){
+            // Verify failures say where flash didn't match
+            if(error.address !== undefined){
+                result.verified = false;
+            }
+            result.error = error.message;
+
+            if(picoboot.connected()){
+                try{
+                    await picoboot.disconnect();
+                }catch(disconnectError){}
+            }
+        }
+
+        result.durationMS = Date.now() - started;
+        this.results.push(result);
+        this.dispatchEvent(new CustomEvent("result", {detail: result}));
+
+        return result;
+    }
+
+
+    // Flashes one board (a `USBDevice` in BOOTSEL that's already authorized) and resolves
+    // to its result. Asking for a board that's already being flashed waits for that instead
+    async flash(device){
+        if(this.#active.has(device.serialNumber)){
+            return await this.#active.get(device.serialNumber);
+        }
+
+        const flashing = this.#flash(device);
+        this.#active.set(device.serialNumber, flashing);
+
+        try{
+            return await flashing;
+        }finally{
+            this.#active.delete(device.serialNumber);
+        }
+    }
+
+
+    // Flashes every already authorized board that's plugged in at the same time, resolves to their results
+    async flashAuthorized(){
+        const devices = await Picoboot.authorizedDevices(this.filters);
+        return await Promise.all(devices.map(device => this.flash(device)));
+    }
+
+
+    // Asks the user to pick a board (which authorizes it for next time) and flashes it
+    async request(){
+        return await this.flash(await navigator.usb.requestDevice({filters: this.filters}));
+    }
+
+
+    // Starts flashing boards as soon as they're plugged in (only authorized devices
+    // cause `navigator.usb` "connect" events, see `request()`)
+    watch(){
+        navigator.usb.addEventListener("connect", this.#onConnect);
+    }
+
+
+    // Stops flashing newly plugged in boards, boards already flashing carry on
+    unwatch(){
+        navigator.usb.removeEventListener("connect", this.#onConnect);
+    }
+
+
+    // Resolves once no boards are being flashed
+    async idle(){
+        while(this.#active.size > 0){
+            await Promise.all(this.#active.values());
+        }
+    }
+}
@@ -0,0 +1,311 @@
+// https://github.com/raspberrypi/pico-sdk/blob/master/src/common/pico_binary_info/include/pico/binary_info/defs.h
+// https://github.com/raspberrypi/pico-sdk/blob/master/src/common/pico_binary_info/include/pico/binary_info/structure.h
+// This module finds and decodes the binary info that Pico SDK programs embed (what
+// `picotool info` shows). Near the start of the image there is a 5 word header:
+//
+// 0x00: Start marker                  (0x7188ebf2)
+// 0x04: Address of the entry pointer table start
+// 0x08: Address of the entry pointer table end
+// 0x0c: Address of the mapping table  ({source, destination start, destination end}
+//                                      triplets, ends with a 0 source)
+// 0x10: End marker                    (0xe71aa390)
+//
+// Every entry starts with a 16-bit type and a 16-bit tag. Entries and the strings
+// they point to can live in RAM at runtime, the mapping table says where in the
+// image that data is stored
+
+
+export const BINARY_INFO_MARKER = {
+    START: 0x7188ebf2,
+    END:   0xe71aa390
+}
+
+
+export const BINARY_INFO_TYPES = {
+    RAW_DATA:             1,
+    SIZED_DATA:           2,
+    LIST_ZERO_TERMINATED: 3,
+    BSON:                 4,
+    ID_AND_INT:           5,
+    ID_AND_STRING:        6,
+    BLOCK_DEVICE:         7,
+    PINS_WITH_FUNC:       8,
+    PINS_WITH_NAME:       9,
+    NAMED_GROUP:          10,
+    PTR_INT32_WITH_NAME:  11,
+    PTR_STRING_WITH_NAME: 12,
+    PINS64_WITH_FUNC:     13,
+    PINS64_WITH_NAME:     14
+}
+
+
+// Tag used by everything the SDK itself adds ('R', 'P')
+export const BINARY_INFO_TAG_RASPBERRY_PI = 0x5052;
+
+
+// IDs of the Raspberry Pi tagged ID_AND_INT/ID_AND_STRING entries
+export const BINARY_INFO_IDS = {
+    PROGRAM_NAME:            0x02031c86,
+    PROGRAM_VERSION_STRING:  0x11a9bc3a,
+    PROGRAM_BUILD_DATE:      0x9da22254,
+    BINARY_END:              0x68f465de,
+    PROGRAM_URL:             0x1856239a,
+    PROGRAM_DESCRIPTION:     0xb6a07c19,
+    PROGRAM_FEATURE:         0xa1f4b453,
+    PROGRAM_BUILD_ATTRIBUTE: 0x4275f0d3,
+    SDK_VERSION:             0x5360b3ab,
+    PICO_BOARD:              0xb63cffbb,
+    BOOT2_NAME:              0x7f8882e1
+}
+
+
+// GPIO function select numbers used in pin entries, per chip
+const PIN_FUNCTIONS = {
+    RP2040: ["XIP", "SPI", "UART", "I2C", "PWM", "SIO", "PIO0", "PIO1", "GPCK", "USB"],
+    RP2350: ["HSTX", "SPI", "UART", "I2C", "PWM", "SIO", "PIO0", "PIO1", "PIO2", "GPCK", "USB", "UART_AUX"]
+}
+
+const HEADER_SEARCH_SIZE = 4096;    // Header is right after boot2/the vector table, well within the first sector
+const MAX_STRING_LENGTH  = 512;
+const MAX_ENTRIES        = 1024;
+
+
+export default class BinaryInfo{
+    // `read(address, size)` returns (or resolves to) a `Uint8Array` of the image at an
+    // absolute address, or `null` if that part of the address space isn't available
+    constructor(read){
+        this.read = read;
+        this.mappings = [];
+    }
+
+
+    // Reader over a list of `{address, data}` blocks, e.g. `UF2.flashBlocks()`
+    static fromBlocks(blocks){
+        const sorted = [...blocks].sort((a, b) => a.address - b.address);
+
+        return new BinaryInfo((address, size) => {
+            const result = new Uint8Array(size);
+            let filled   = 0;
+
+            for(const block of sorted){
+                const start = Math.max(address, block.address);
+                const end   = Math.min(address + size, block.address + block.data.byteLength);
+
+                if(start < end){
+                    result.set(block.data.subarray(start - block.address, end - block.address), start - address);
+                    filled += end - start;
+                }
+            }
+
+            return filled == size ? result : null;
+        });
+    }
+
+
+    // Reads `size` bytes at a runtime address, going through the mapping table for data copied to RAM
+    async #readMapped(address, size){
+        for(const {source, start, end} of this.mappings){
+            if(address >= start && address + size <= end){
+                return await this.read(source + address - start, size);
+            }
+        }
+
+        return await this.read(address, size);
+    }
+
+
+    async #word(address){
+        const data = await this.#readMapped(address, 4);
+        return data === null ? null : new DataView(data.buffer, data.byteOffset, 4).getUint32(0, true);
+    }
+
+
+    // Reads a NUL terminated string, `null` if it isn't in the image
+    async #string(address){
+        let bytes = [];
+
+        while(bytes.length < MAX_STRING_LENGTH){
+            const chunk = await this.#readMapped(address + bytes.length, 16) ?? await this.#readMapped(address + bytes.length, 1);
+            if(chunk === null){
+                return null;
+            }
+
+            const end = chunk.indexOf(0);
+            bytes.push(...(end == -1 ? chunk : chunk.subarray(0, end)));
+            if(end != -1){
+                break;
+            }
+        }
+
+        return new TextDecoder().decode(new Uint8Array(bytes));
+    }
+
+
+    // Looks for the header in the first sector of the image at `imageStart`,
+    // returns `{start, end, mappingTable}` or `null` if there isn't one
+    async findHeader(imageStart){
+        const data = await this.read(imageStart, HEADER_SEARCH_SIZE);
+        if(data === null){
+            return null;
+        }
+
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+        for(let offset=0; offset+20<=data.byteLength; offset+=4){
+            if(view.getUint32(offset, true) == BINARY_INFO_MARKER.START && view.getUint32(offset+16, true) == BINARY_INFO_MARKER.END){
+                return {
+                    start:        view.getUint32(offset+4,  true),
+                    end:          view.getUint32(offset+8,  true),
+                    mappingTable: view.getUint32(offset+12, true)
+                };
+            }
+        }
+
+        return null;
+    }
+
+
+    // Decodes the pins of a PINS_WITH_FUNC entry, single pins and lists
+    // repeat the last pin to mark the end, ranges give the first and last
+    #decodePinsWithFunc(encoding){
+        const type = encoding & 0x7;
+        let pins   = [];
+
+        if(type == 1){          // BI_PINS_ENCODING_RANGE
+            for(let pin=(encoding >> 7) & 0x1f; pin<=((encoding >> 12) & 0x1f); pin++){
+                pins.push(pin);
+            }
+        }else if(type == 2){    // BI_PINS_ENCODING_MULTI
+            for(let i=0; i<5; i++){
+                const pin = (encoding >> (7 + i*5)) & 0x1f;
+                if(pin == pins[pins.length-1]){
+                    break;
+                }
+                pins.push(pin);
+            }
+        }
+
+        return {pins, func: (encoding >> 3) & 0xf};
+    }
+
+
+    // Finds and decodes the binary info of the image at `imageStart`. `chip` ("RP2040" or
+    // "RP2350") is used to name pin functions. Returns `null` if there's no binary info,
+    // otherwise the decoded program details:
+    // * programName, version, buildDate, url, description, sdkVersion, board, boot2: Strings or `null`
+    // * binaryEnd:       Address the image ends at, or `null`
+    // * features:        Feature strings (e.g. "UART stdin / stdout")
+    // * buildAttributes: Build attribute strings (e.g. "Debug")
+    // * pins:            Map of GPIO number -> list of functions/names assigned to it
+    async decode(imageStart, chip="RP2040"){
+        const header = await this.findHeader(imageStart);
+        if(header === null){
+            return null;
+        }
+
+        // Mapping table has to be loaded first since entries can point at copied data
+        this.mappings = [];
+        for(let address=header.mappingTable; this.mappings.length<MAX_ENTRIES; address+=12){
+            const entry = await this.read(address, 12);
+            if(entry === null){
+                break;
+            }
+
+            const view = new DataView(entry.buffer, entry.byteOffset, 12);
+            if(view.getUint32(0, true) == 0){
+                break;
+            }
+
+            this.mappings.push({source: view.getUint32(0, true), start: view.getUint32(4, true), end: view.getUint32(8, true)});
+        }
+
+        let info = {
+            programName:     null,
+            version:         null,
+            buildDate:       null,
+            url:             null,
+            description:     null,
+            sdkVersion:      null,
+            board:           null,
+            boot2:           null,
+            binaryEnd:       null,
+            features:        [],
+            buildAttributes: [],
+            pins:            {}
+        };
+
+        const addPin = (pin, name) => (info.pins[pin] ??= []).push(name);
+        const functions = PIN_FUNCTIONS[chip] ?? [];
+
+        const count = Math.min(MAX_ENTRIES, (header.end - header.start) / 4);
+        for(let i=0; i<count; i++){
+            const pointer = await this.#word(header.start + i*4);
+            const core    = pointer === null ? null : await this.#word(pointer);
+            if(core === null){
+                continue;
+            }
+
+            const type = core & 0xffff;
+            const tag  = core >>> 16;
+
+            if(type == BINARY_INFO_TYPES.ID_AND_INT || type == BINARY_INFO_TYPES.ID_AND_STRING){
+                if(tag != BINARY_INFO_TAG_RASPBERRY_PI){
+                    continue;
+                }
+
+                const id    = await this.#word(pointer + 4);
+                const value = await this.#word(pointer + 8);
+                if(id === null || value === null){
+                    continue;
+                }
+
+                if(type == BINARY_INFO_TYPES.ID_AND_INT){
+                    if(id == BINARY_INFO_IDS.BINARY_END){
+                        info.binaryEnd = value;
+                    }
+                    continue;
+                }
+
+                const string = await this.#string(value);
+                switch(id){
+                    case BINARY_INFO_IDS.PROGRAM_NAME:            info.programName = string; break;
+                    case BINARY_INFO_IDS.PROGRAM_VERSION_STRING:  info.version     = string; break;
+                    case BINARY_INFO_IDS.PROGRAM_BUILD_DATE:      info.buildDate   = string; break;
+                    case BINARY_INFO_IDS.PROGRAM_URL:             info.url         = string; break;
+                    case BINARY_INFO_IDS.PROGRAM_DESCRIPTION:     info.description = string; break;
+                    case BINARY_INFO_IDS.SDK_VERSION:             info.sdkVersion  = string; break;
+                    case BINARY_INFO_IDS.PICO_BOARD:              info.board       = string; break;
+                    case BINARY_INFO_IDS.BOOT2_NAME:              info.boot2       = string; break;
+                    case BINARY_INFO_IDS.PROGRAM_FEATURE:         info.features.push(string); break;
+                    case BINARY_INFO_IDS.PROGRAM_BUILD_ATTRIBUTE: info.buildAttributes.push(string); break;
+                }
+            }else if(type == BINARY_INFO_TYPES.PINS_WITH_FUNC){
+                const encoding = await this.#word(pointer + 4);
+                if(encoding === null){
+                    continue;
+                }
+
+                const {pins, func} = this.#decodePinsWithFunc(encoding);
+                pins.forEach(pin => addPin(pin, functions[func] ?? "FUNC" + func));
+            }else if(type == BINARY_INFO_TYPES.PINS_WITH_NAME){
+                const mask  = await this.#word(pointer + 4);
+                const label = await this.#word(pointer + 8);
+                if(mask === null || label === null){
+                    continue;
+                }
+
+                // Labels for several pins are separated by '|' in pin order
+                const names = ((await this.#string(label)) ?? "").split("|");
+                let index = 0;
+                for(let pin=0; pin<32; pin++){
+                    if(mask & (1 << pin)){
+                        addPin(pin, names[Math.min(index, names.length-1)]);
+                        index += 1;
+                    }
+                }
+            }
+        }
+
+        return info;
+    }
+}
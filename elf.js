@@ -0,0 +1,88 @@
+// https://refspecs.linuxfoundation.org/elf/elf.pdf
+// This module reads the loadable segments out of 32-bit little endian ELF files (what
+// the Pico SDK builds for both Arm and RISC-V). Only what's needed for loading is parsed:
+//
+// 0x00: Identification   (16 bytes, "\x7fELF", class, data encoding, ...)
+// 0x12: Machine          (2 bytes, 0x28 for Arm, 0xf3 for RISC-V)
+// 0x18: Entry point      (4 bytes)
+// 0x1c: Program headers  (4 bytes, file offset of the program header table)
+// 0x2a: Header size      (2 bytes, size of one program header)
+// 0x2c: Header count     (2 bytes, number of program headers)
+
+
+export const ELF_MACHINES = {
+    ARM:   0x28,
+    RISCV: 0xf3
+}
+
+
+const PT_LOAD             = 1;
+const ELF_HEADER_SIZE     = 52;
+const PROGRAM_HEADER_SIZE = 32;
+
+
+export default class ELF{
+    // `segments` is a list of `{address, data}` with each segment at its physical (load) address
+    constructor(machine, entry, segments=[]){
+        this.machine  = machine;
+        this.entry    = entry;
+        this.segments = segments;
+    }
+
+
+    // Returns if data (`ArrayBuffer` or `Uint8Array`) starts with the ELF magic number
+    static isELF(data){
+        const bytes = new Uint8Array(data);
+        return bytes.byteLength >= 4 && bytes[0] == 0x7f && bytes[1] == 0x45 && bytes[2] == 0x4c && bytes[3] == 0x46;
+    }
+
+
+    // Parses and validates ELF data (`ArrayBuffer` or `Uint8Array`). PT_LOAD segments with
+    // data in the file are returned at their physical address, which is where they are
+    // stored in the image (e.g. initialised data lives in flash and is copied to RAM at boot)
+    static parse(elfData){
+        const data = new Uint8Array(elfData);
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+        if(!ELF.isELF(data) || data.byteLength < ELF_HEADER_SIZE){
+            throw new Error("elf.js: ERROR: Not an ELF file");
+        }
+
+        if(data[4] != 1 || data[5] != 1){
+            throw new Error("elf.js: ERROR: Only 32-bit little endian ELF files are supported (class " + data[4] + ", encoding " + data[5] + ")");
+        }
+
+        const machine   = view.getUint16(0x12, true);
+        const entry     = view.getUint32(0x18, true);
+        const phOffset  = view.getUint32(0x1c, true);
+        const phSize    = view.getUint16(0x2a, true);
+        const phCount   = view.getUint16(0x2c, true);
+
+        if(phSize < PROGRAM_HEADER_SIZE || phOffset + phSize*phCount > data.byteLength){
+            throw new Error("elf.js: ERROR: Program header table is truncated or malformed");
+        }
+
+        let segments = [];
+        for(let i=0; i<phCount; i++){
+            const offset = phOffset + i*phSize;
+
+            const type       = view.getUint32(offset+0,  true);
+            const fileOffset = view.getUint32(offset+4,  true);
+            const address    = view.getUint32(offset+12, true);     // Physical address
+            const fileSize   = view.getUint32(offset+16, true);
+
+            // Segments like .bss only take up memory, there's nothing to load
+            if(type != PT_LOAD || fileSize == 0){
+                continue;
+            }
+
+            if(fileOffset + fileSize > data.byteLength){
+                throw new Error("elf.js: ERROR: Segment " + i + " at 0x" + address.toString(16) + " runs past the end of the file");
+            }
+
+            segments.push({address, data: data.slice(fileOffset, fileOffset+fileSize)});
+        }
+
+        return new ELF(machine, entry, segments);
+    }
+}
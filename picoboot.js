@@ -12,6 +12,185 @@ export const PICOBOOT_EXCLUSIVE_MODES = {
 }
 
 
+// `navigator.usb` filters that match RP2040 and RP2350 devices in BOOTSEL mode
+export const PICOBOOT_USB_FILTERS = [
+    {vendorId: 0x2E8A, productId: 0x0003},  // RP2040
+    {vendorId: 0x2E8A, productId: 0x000F}   // RP2350
+]
+
+
+// Where flash is mapped in the address space of both devices (XIP). Addresses past
+// the end of the physical flash chip (but inside the window) mirror the start.
+// SRAM starts at the same address on both, the RP2350 has more of it
+export const PICOBOOT_MEMORY_MAP = {
+    FLASH_START:     0x10000000,
+    FLASH_MAX_SIZE:  16 * 1024 * 1024,
+    SRAM_START:      0x20000000,
+    SRAM_END_RP2040: 0x20042000,
+    SRAM_END_RP2350: 0x20082000
+}
+
+
+// https://datasheets.raspberrypi.com/rp2350/rp2350-datasheet.pdf?#page=408
+// Status codes returned by GET_COMMAND_STATUS (RP2040 only uses up to `UNKNOWN_ERROR`)
+export const PICOBOOT_STATUS = {
+    OK:                       0,
+    UNKNOWN_CMD:              1,
+    INVALID_CMD_LENGTH:       2,
+    INVALID_TRANSFER_LENGTH:  3,
+    INVALID_ADDRESS:          4,
+    BAD_ALIGNMENT:            5,
+    INTERLEAVED_WRITE:        6,
+    REBOOTING:                7,
+    UNKNOWN_ERROR:            8,
+    INVALID_STATE:            9,
+    NOT_PERMITTED:            10,
+    INVALID_ARG:              11,
+    BUFFER_TOO_SMALL:         12,
+    PRECONDITION_NOT_MET:     13,
+    MODIFIED_DATA:            14,
+    INVALID_DATA:             15,
+    NOT_FOUND:                16,
+    UNSUPPORTED_MODIFICATION: 17
+}
+
+
+// Base for all errors thrown by this module. `status`, `cmdId` and `token`
+// are set when the error came from a specific command (otherwise `null`)
+export class PicobootError extends Error{
+    constructor(message, {status=null, cmdId=null, token=null}={}){
+        super(message);
+        this.name   = new.target.name;
+        this.status = status;
+        this.cmdId  = cmdId;
+        this.token  = token;
+    }
+}
+
+// Device rejected or failed a command, subclasses below for the common reasons
+export class PicobootCommandError extends PicobootError{}
+export class PicobootUnknownCommandError extends PicobootCommandError{}    // Command not supported by this chip
+export class PicobootInvalidCommandError extends PicobootCommandError{}    // Bad command/transfer length or arguments
+export class PicobootInvalidAddressError extends PicobootCommandError{}    // Address not valid for the command
+export class PicobootBadAlignmentError extends PicobootCommandError{}      // Flash erase/write not sector/page aligned
+export class PicobootInterleavedWriteError extends PicobootCommandError{}  // Mass storage write in progress at the same time
+export class PicobootRebootingError extends PicobootCommandError{}         // Device is already rebooting
+export class PicobootNotPermittedError extends PicobootCommandError{}      // Not allowed by the device's security settings
+
+// The device was found but couldn't be opened or its PICOBOOT interface claimed, usually
+// because the OS driver or another program has it (e.g. on Windows without WinUSB). Copying
+// the UF2 to the BOOTSEL drive still works then, see `Picotool.loadDrive()`. `cause` is the
+// original WebUSB error
+export class PicobootClaimError extends PicobootError{
+    constructor(message, cause){
+        super(message);
+        this.cause = cause;
+    }
+}
+
+// https://datasheets.raspberrypi.com/rp2350/rp2350-datasheet.pdf?#page=406
+// `bType` values for GET_INFO, only for RP2350
+export const PICOBOOT_INFO_TYPES = {
+    SYS:                  1,    // Chip, boot and flash device info (bootrom `get_sys_info()`)
+    PARTITION_TABLE:      2,    // Partition table (bootrom `get_partition_table_info()`)
+    UF2_TARGET_PARTITION: 3,    // Partition a UF2 of a given family would be written to
+    UF2_STATUS:           4     // Status of the last mass storage UF2 download
+}
+
+
+// https://datasheets.raspberrypi.com/rp2350/rp2350-datasheet.pdf?#page=384
+// Boot types reported in the boot info and used by REBOOT2 (flag 0x80 marks a chained boot)
+export const PICOBOOT_BOOT_TYPES = {
+    NORMAL:       0x0,
+    BOOTSEL:      0x2,
+    RAM_IMAGE:    0x3,
+    FLASH_UPDATE: 0x4,
+    PC_SP:        0xd
+}
+
+
+// https://datasheets.raspberrypi.com/rp2350/rp2350-datasheet.pdf?#page=386
+const SYS_INFO_FLAGS = {
+    CHIP_INFO:      0x0001,     // 3 words: package select, device ID, wafer ID
+    CRITICAL:       0x0002,     // 1 word:  OTP critical flags
+    CPU_INFO:       0x0004,     // 1 word:  0 for Arm, 1 for RISC-V
+    FLASH_DEV_INFO: 0x0008,     // 1 word:  flash device layout (OTP FLASH_DEVINFO format)
+    BOOT_RANDOM:    0x0010,     // 4 words: per boot random number
+    BOOT_INFO:      0x0040      // 4 words: how the device booted
+}
+
+// https://datasheets.raspberrypi.com/rp2350/rp2350-datasheet.pdf?#page=385
+const PT_INFO_FLAGS = {
+    PT_INFO:                      0x0001,   // 2 words: partition count/presence, unpartitioned space permissions
+    PARTITION_LOCATION_AND_FLAGS: 0x0010,   // 2 words per partition
+    PARTITION_ID:                 0x0020,   // 2 words per partition that has an ID
+    PARTITION_FAMILY_IDS:         0x0040,   // 1 word per extra family ID
+    PARTITION_NAME:               0x0080    // Length byte and string, padded to words
+}
+
+// Family IDs a partition accepts without listing them as extra family IDs (partition flag bits)
+const PARTITION_DEFAULT_FAMILIES = {
+    RP2040:        [0x00004000, 0xe48bff56],
+    ABSOLUTE:      [0x00008000, 0xe48bff57],
+    DATA:          [0x00010000, 0xe48bff58],
+    RP2350_ARM_S:  [0x00020000, 0xe48bff59],
+    RP2350_RISCV:  [0x00040000, 0xe48bff5a],
+    RP2350_ARM_NS: [0x00080000, 0xe48bff5b]
+}
+
+
+// Decodes the permission bits (26-31) both partition words use
+function decodePermissions(word){
+    return {
+        secureRead:     (word & (1 << 26)) != 0,
+        secureWrite:    (word & (1 << 27)) != 0,
+        nonSecureRead:  (word & (1 << 28)) != 0,
+        nonSecureWrite: (word & (1 << 29)) != 0,
+        bootselRead:    (word & (1 << 30)) != 0,
+        bootselWrite:   (word & (1 << 31)) != 0
+    };
+}
+
+
+// Decodes a partition's location and flags words. `start` and `end` are byte offsets from the start of flash
+function decodePartition(index, location, flags){
+    const firstSector = location & 0x1fff;
+    const lastSector  = (location >> 13) & 0x1fff;
+
+    return {
+        index,
+        start:          firstSector * 4096,
+        end:            (lastSector + 1) * 4096,
+        size:           (lastSector - firstSector + 1) * 4096,
+        permissions:    decodePermissions(location),
+        hasId:          (flags & 0x00000001) != 0,
+        linkType:       ["none", "a_partition", "owner_partition", "unknown"][(flags >> 1) & 0x3],
+        linkValue:      (flags >> 3) & 0xf,
+        extraFamilies:  (flags >> 7) & 0x3,
+        bootableArm:    (flags & 0x00000200) == 0,
+        bootableRiscv:  (flags & 0x00000400) == 0,
+        hasName:        (flags & 0x00001000) != 0,
+        noReboot:       (flags & 0x00002000) != 0,
+        familyIds:      Object.values(PARTITION_DEFAULT_FAMILIES).filter(([bit]) => flags & bit).map(([, familyId]) => familyId),
+        id:             null,
+        name:           null
+    };
+}
+
+
+const PICOBOOT_STATUS_ERRORS = {
+    [PICOBOOT_STATUS.UNKNOWN_CMD]:             PicobootUnknownCommandError,
+    [PICOBOOT_STATUS.INVALID_CMD_LENGTH]:      PicobootInvalidCommandError,
+    [PICOBOOT_STATUS.INVALID_TRANSFER_LENGTH]: PicobootInvalidCommandError,
+    [PICOBOOT_STATUS.INVALID_ARG]:             PicobootInvalidCommandError,
+    [PICOBOOT_STATUS.INVALID_ADDRESS]:         PicobootInvalidAddressError,
+    [PICOBOOT_STATUS.BAD_ALIGNMENT]:           PicobootBadAlignmentError,
+    [PICOBOOT_STATUS.INTERLEAVED_WRITE]:       PicobootInterleavedWriteError,
+    [PICOBOOT_STATUS.REBOOTING]:               PicobootRebootingError,
+    [PICOBOOT_STATUS.NOT_PERMITTED]:           PicobootNotPermittedError
+}
+
+
 export default class Picoboot{
     constructor(){
         this.device = null;
@@ -24,6 +203,7 @@ export default class Picoboot{
     // Simply resets some runtime state
     #init(){
         this.EPNums = {"out": -1, "in": -1};
+        this.interfaceNumber = null;
         this.token = 0;     // Increments for every request/built command packet
     }
 
@@ -43,21 +223,121 @@ export default class Picoboot{
 
         // Increase this for every request
         this.token += 1;
+
+        return packet;
     }
 
 
-    // Sends packet and waits for reply
-    async #sendPacket(packet){
-        await this.device.transferOut(this.EPNums["out"], new Uint8Array(packet));   // Send on BULK_OUT
+    // https://datasheets.raspberrypi.com/rp2350/rp2350-datasheet.pdf?#page=403
+    // Sends a command packet and runs its data and status phases:
+    // * No data:       device acknowledges with an empty IN packet
+    // * OUT data:      host sends `payload`, device acknowledges with an empty IN packet
+    // * IN data:       device sends `inLength` bytes, host acknowledges with an empty OUT packet
+    // The device stalls the endpoints if the command fails, in that case the reason
+    // is fetched, the interface reset, and a `PicobootError` (subclass) thrown.
+    // Returns the IN data for commands that have it
+    async #sendCommand(packet, payload=null, inLength=0){
+        const packetView = new DataView(packet);
+        const cmdId      = packetView.getUint8(0x08);
+        const token      = packetView.getUint32(0x04, true);
 
-        // Wait for empty IN packet and check status
-        let inPacket = await this.device.transferIn(this.EPNums["in"], 64);
-        if(inPacket.status != "ok"){
-            // console.error("Could not claim exclusive...");
-            throw new Error("Could not claim exclusive access...");
-        }else{
-            console.log("Wrote exclusive!");
+        // Throws the most useful error for a transfer that didn't complete
+        const check = async (result, phase) => {
+            if(result.status != "ok"){
+                await this.#throwCommandError(cmdId, token, phase + " " + result.status);
+            }
+        }
+
+        await check(await this.device.transferOut(this.EPNums["out"], new Uint8Array(packet)), "command");  // Send on BULK_OUT
+
+        if(inLength > 0){
+            const inPacket = await this.device.transferIn(this.EPNums["in"], inLength);
+            await check(inPacket, "data phase");
+
+            if(inPacket.data.byteLength != inLength){
+                await this.#resetInterface();
+                throw new PicobootError("picoboot.js: ERROR: Expected " + inLength + " bytes in data phase, got " + inPacket.data.byteLength, {cmdId, token});
+            }
+
+            await check(await this.device.transferOut(this.EPNums["out"], new Uint8Array(0)), "status phase");
+
+            return new Uint8Array(inPacket.data.buffer, inPacket.data.byteOffset, inPacket.data.byteLength);
+        }
+
+        if(payload !== null){
+            await check(await this.device.transferOut(this.EPNums["out"], new Uint8Array(payload)), "data phase");
+        }
+
+        await check(await this.device.transferIn(this.EPNums["in"], 64), "status phase");
+    }
+
+
+    // https://datasheets.raspberrypi.com/rp2350/rp2350-datasheet.pdf?#page=408
+    // Asks the device why the last command failed (GET_COMMAND_STATUS control request)
+    async commandStatus(){
+        const result = await this.device.controlTransferIn({
+            requestType: "vendor",
+            recipient:   "interface",
+            request:     0x42,
+            value:       0,
+            index:       this.interfaceNumber
+        }, 16);
+
+        if(result.status != "ok" || result.data.byteLength < 10){
+            throw new PicobootError("picoboot.js: ERROR: GET_COMMAND_STATUS failed, status '" + result.status + "'");
+        }
+
+        return {
+            token:      result.data.getUint32(0, true),
+            status:     result.data.getUint32(4, true),
+            cmdId:      result.data.getUint8(8),
+            inProgress: result.data.getUint8(9) != 0
+        };
+    }
+
+
+    // https://datasheets.raspberrypi.com/rp2350/rp2350-datasheet.pdf?#page=408
+    // Clears the stall on both endpoints and aborts any command in progress (INTERFACE_RESET control request)
+    async #resetInterface(){
+        await this.device.controlTransferOut({
+            requestType: "vendor",
+            recipient:   "interface",
+            request:     0x41,
+            value:       0,
+            index:       this.interfaceNumber
+        });
+
+        // The host side may still consider the endpoints halted, clearing
+        // them is harmless when it doesn't so failures don't matter here
+        for(const direction of ["out", "in"]){
+            try{
+                await this.device.clearHalt(direction, this.EPNums[direction]);
+            }catch(error){}
+        }
+    }
+
+
+    // Fetches the reason for a failed command, resets the interface so the session
+    // can continue, and throws the error class that matches the status code
+    async #throwCommandError(cmdId, token, reason){
+        let status = null;
+
+        try{
+            const commandStatus = await this.commandStatus();
+
+            // Only trust the status if it is for this command
+            if(commandStatus.token == token){
+                status = commandStatus.status;
+            }
+        }finally{
+            await this.#resetInterface();
         }
+
+        const ErrorClass = PICOBOOT_STATUS_ERRORS[status] ?? PicobootCommandError;
+        const statusName = Object.keys(PICOBOOT_STATUS).find(name => PICOBOOT_STATUS[name] == status) ?? "UNKNOWN";
+
+        throw new ErrorClass("picoboot.js: ERROR: Command 0x" + cmdId.toString(16) + " (token " + token + ") failed on " +
+                             reason + " with status " + statusName, {status, cmdId, token});
     }
 
 
@@ -114,15 +394,31 @@ export default class Picoboot{
         }
 
         // Select configuration and claim interface
-        await this.device.claimInterface(interfaceNumber);
+        try{
+            await this.device.claimInterface(interfaceNumber);
+        }catch(error){
+            await this.#claimFailed(error);
+        }
+        this.interfaceNumber = interfaceNumber;
 
         return endpoints;
     }
 
 
+    // Gives up on a device that couldn't be opened or claimed and throws `PicobootClaimError`
+    async #claimFailed(error){
+        try{
+            await this.device.close();
+        }catch(closeError){}
+        this.device = null;
+
+        throw new PicobootClaimError("picoboot.js: ERROR: Could not open the device or claim its PICOBOOT interface, the OS driver " +
+                                     "or another program may be using it (" + error.message + ")", error);
+    }
+
+
     // Given some endpoints, sorts in from out and stores in class for later use
     async #sortEndpoints(endpoints){
-        console.log(endpoints);
         endpoints.forEach(endpoint => {
             if(endpoint.type != "bulk"){
                 throw new Error("picoboot.js: Expected all endpoints to have type 'bulk', found one with type '" + endpoint.type +"'");
@@ -134,8 +430,47 @@ export default class Picoboot{
     }
 
 
+    // Fired by `navigator.usb` when any device goes away (e.g. it rebooted out of
+    // BOOTSEL or was unplugged), forgets the device if it was this one
+    #onDisconnect = (event) => {
+        if(event.device !== this.device){
+            return;
+        }
+
+        navigator.usb.removeEventListener("disconnect", this.#onDisconnect);
+        this.device = null;
+        this.#init();
+    }
+
+
+    // Returns the already authorized devices (see `navigator.usb.getDevices()`) that
+    // match `filters`, these can be opened with `open()` without asking the user
+    static async authorizedDevices(filters=PICOBOOT_USB_FILTERS){
+        const devices = await navigator.usb.getDevices();
+        return devices.filter(device => Picoboot.matches(device, filters));
+    }
+
+
+    // Returns if a `USBDevice` matches any of the `navigator.usb` style `filters`
+    static matches(device, filters=PICOBOOT_USB_FILTERS){
+        return filters.some(filter =>
+            (filter.vendorId     === undefined || filter.vendorId     == device.vendorId)  &&
+            (filter.productId    === undefined || filter.productId    == device.productId) &&
+            (filter.serialNumber === undefined || filter.serialNumber == device.serialNumber)
+        );
+    }
+
+
     // Connect to a USB device
-    async connect(filters){
+    async connect(filters=PICOBOOT_USB_FILTERS){
+        // Ask user to select device and then attempt to connect
+        await this.open(await navigator.usb.requestDevice({ filters }));
+    }
+
+
+    // Opens a device that is already authorized (e.g. from `authorizedDevices()` or a
+    // `navigator.usb` "connect" event) and claims its PICOBOOT interface
+    async open(device){
         // Step #1: Disconnect before reconnecting
         if(this.device !== null){
             await this.disconnect();
@@ -144,15 +479,21 @@ export default class Picoboot{
         // Reset runtime state variables
         this.#init();
 
-        // Step #2: Ask suer to select device and then attempt to connect
-        this.device = await navigator.usb.requestDevice({ filters });   // Ask user to select
-        await this.device.open();                                       // Try to connect
+        // Step #2: Attempt to connect
+        this.device = device;
+        try{
+            await this.device.open();
+        }catch(error){
+            await this.#claimFailed(error);
+        }
 
         // Step #3: Select and check configuration from device, find
         // matching interface, and sort in/out endpoints
         const configuration = await this.#selectConfiguration();
         const endpoints     = await this.#claimInterface(configuration);
         await this.#sortEndpoints(endpoints);
+
+        navigator.usb.addEventListener("disconnect", this.#onDisconnect);
     }
 
 
@@ -164,8 +505,8 @@ export default class Picoboot{
 
         return {
             manufacturerName: this.device.manufacturerName,
-            productName:      this.device.productName,      // Contains "RP2" or "RP2350"
-            serialNumber:     this.serialNumber
+            productName:      this.device.productName,      // "RP2 Boot" or "RP2350 Boot", see `chip()` instead
+            serialNumber:     this.device.serialNumber
         };
     }
 
@@ -176,6 +517,7 @@ export default class Picoboot{
             return;
         }
 
+        navigator.usb.removeEventListener("disconnect", this.#onDisconnect);
         await this.device.close();
 
         this.device = null;
@@ -204,13 +546,14 @@ export default class Picoboot{
         packetView.setUint8(0x10, exclusiveMode);
 
         // Send packet
-        await this.#sendPacket(packet);
+        await this.#sendCommand(packet);
     }
 
 
-    // Reboot out of BOOTSEL, only for RP2040:
+    // Reboot out of BOOTSEL, only for RP2040. A non-zero `pc` starts
+    // executing there with the stack pointer set to `sp` (RAM images):
     // * https://datasheets.raspberrypi.com/rp2040/rp2040-datasheet.pdf?#page=148
-    async rebootRP2040(){
+    async rebootRP2040(pc=0, sp=0, delayMS=0x00005631){
         if(this.device === null){
             return;
         }
@@ -220,28 +563,115 @@ export default class Picoboot{
         
         // Set the cmd arg(s)
         const packetView = new DataView(packet);
-        packetView.setUint8( 0x10, 0x00000000);
-        packetView.setUint8( 0x14, 0x00000000);
-        packetView.setUint32(0x18, 0x00005631, true);  // ms Delay (needs to be something other than 0! Copied from Wireshark picotool output)
+        packetView.setUint32(0x10, pc,      true);  // Initial PC, 0 for a normal boot
+        packetView.setUint32(0x14, sp,      true);  // Initial SP
+        packetView.setUint32(0x18, delayMS, true);  // ms Delay (needs to be something other than 0! Default copied from Wireshark picotool output)
     
         // Send packet
-        await this.#sendPacket(packet);
+        await this.#sendCommand(packet);
     }
 
 
-    // Reboot out of BOOTSEL, only for RP2350:
+    // Reboot out of BOOTSEL, only for RP2350. `flags`, `param0` and `param1`
+    // are passed to the bootrom `reboot()` function (all 0 for a normal boot):
     // * https://datasheets.raspberrypi.com/rp2350/rp2350-datasheet.pdf?#page=406
     // * https://datasheets.raspberrypi.com/rp2350/rp2350-datasheet.pdf?#page=395
-    async rebootRP2350(){
+    async rebootRP2350(flags=0, delayMS=0, param0=0, param1=0){
         if(this.device === null){
             return;
         }
 
         // Build the packet base
         const packet = this.#buildCmdPacketBase(0x0a, 0x10, 0x00000000);
-    
+
+        // Set the cmd arg(s)
+        const packetView = new DataView(packet);
+        packetView.setUint32(0x10, flags,   true);  // Reboot type and flags
+        packetView.setUint32(0x14, delayMS, true);  // ms Delay
+        packetView.setUint32(0x18, param0,  true);  // Type specific, e.g. RAM image start
+        packetView.setUint32(0x1c, param1,  true);  // Type specific, e.g. RAM image size
+
         // Send packet
-        await this.#sendPacket(packet);
+        await this.#sendCommand(packet);
+    }
+
+
+    // Which chip is connected ("RP2040" or "RP2350"), based on the BOOTSEL USB product ID
+    chip(){
+        if(this.device === null){
+            return;
+        }
+
+        if(this.device.productId == 0x0003){
+            return "RP2040";
+        }else if(this.device.productId == 0x000F){
+            return "RP2350";
+        }
+
+        throw new PicobootError("picoboot.js: ERROR: Unknown BOOTSEL product ID 0x" + this.device.productId.toString(16) + ", expected RP2040 or RP2350");
+    }
+
+
+    // Reboots out of BOOTSEL using the right command for the connected chip. Options:
+    // * type:            "normal" (default), "bootsel" (RP2350), "partition" (RP2350) or "ram"
+    // * delayMS:         Delay before rebooting, defaults to 500 ms
+    // * arch:            RP2350 only, "arm" or "riscv" to switch architecture, defaults to the current one
+    // * disableMSD:      "bootsel" only, don't expose the mass storage drive after rebooting
+    // * disablePicoboot: "bootsel" only, don't expose the PICOBOOT interface after rebooting
+    // * ledPin:          "bootsel" only, GPIO to show USB activity on
+    // * partition:       "partition" only, index of the partition to boot (it is
+    //                    treated as freshly updated, see `PICOBOOT_BOOT_TYPES.FLASH_UPDATE`)
+    // * address, size:   "ram" only, RP2350 region the bootrom searches for an image to run
+    // * pc, sp:          "ram" only, RP2040 entry point and initial stack pointer
+    //                    (default to `address` and the end of SRAM)
+    // * https://datasheets.raspberrypi.com/rp2350/rp2350-datasheet.pdf?#page=395
+    async reboot(options={}){
+        if(this.device === null){
+            return;
+        }
+
+        const type    = options.type ?? "normal";
+        const delayMS = options.delayMS ?? 500;
+
+        if(this.chip() == "RP2040"){
+            if(type == "normal"){
+                return await this.rebootRP2040(0, 0, delayMS);
+            }else if(type == "ram"){
+                return await this.rebootRP2040(options.pc ?? options.address ?? PICOBOOT_MEMORY_MAP.SRAM_START,
+                                               options.sp ?? PICOBOOT_MEMORY_MAP.SRAM_END_RP2040, delayMS);
+            }
+
+            throw new PicobootError("picoboot.js: ERROR: Reboot type '" + type + "' is not supported on RP2040");
+        }
+
+        let flags = {arm: 0x10, riscv: 0x20}[options.arch] ?? 0;
+        if(options.arch !== undefined && flags == 0){
+            throw new PicobootError("picoboot.js: ERROR: Unknown architecture '" + options.arch + "', expected 'arm' or 'riscv'");
+        }
+
+        if(type == "normal"){
+            await this.rebootRP2350(flags | PICOBOOT_BOOT_TYPES.NORMAL, delayMS);
+        }else if(type == "bootsel"){
+            let bootselFlags = (options.disableMSD ? 0x01 : 0) | (options.disablePicoboot ? 0x02 : 0);
+            if(options.ledPin !== undefined){
+                bootselFlags |= 0x20;
+            }
+
+            await this.rebootRP2350(flags | PICOBOOT_BOOT_TYPES.BOOTSEL, delayMS, bootselFlags, options.ledPin ?? 0);
+        }else if(type == "partition"){
+            const table     = await this.partitionTable();
+            const partition = table.partitions[options.partition];
+            if(partition === undefined){
+                throw new PicobootError("picoboot.js: ERROR: Device has no partition " + options.partition + " (" + table.partitions.length + " partitions)");
+            }
+
+            await this.rebootRP2350(flags | PICOBOOT_BOOT_TYPES.FLASH_UPDATE, delayMS, PICOBOOT_MEMORY_MAP.FLASH_START + partition.start);
+        }else if(type == "ram"){
+            await this.rebootRP2350(flags | PICOBOOT_BOOT_TYPES.RAM_IMAGE, delayMS, options.address ?? PICOBOOT_MEMORY_MAP.SRAM_START,
+                                    options.size ?? PICOBOOT_MEMORY_MAP.SRAM_END_RP2350 - (options.address ?? PICOBOOT_MEMORY_MAP.SRAM_START));
+        }else{
+            throw new PicobootError("picoboot.js: ERROR: Unknown reboot type '" + type + "'");
+        }
     }
 
 
@@ -257,7 +687,7 @@ export default class Picoboot{
         const packet = this.#buildCmdPacketBase(0x06, 0x00, 0x00000000);
     
         // Send packet
-        await this.#sendPacket(packet);
+        await this.#sendCommand(packet);
     }
 
 
@@ -278,7 +708,7 @@ export default class Picoboot{
         packetView.setUint32(0x14, size, true);    // Size (bytes, exact multiple by number of sectors of 4kB size)
     
         // Send packet
-        await this.#sendPacket(packet);
+        await this.#sendCommand(packet);
     }
 
     // Given an absolute address, finds the sector to erase and erases it
@@ -293,23 +723,339 @@ export default class Picoboot{
     // * https://datasheets.raspberrypi.com/rp2350/rp2350-datasheet.pdf?#page=405
     // * https://datasheets.raspberrypi.com/rp2040/rp2040-datasheet.pdf?#page=149
     async flashWrite(address, size, payload){
+        // Address must be divisible exactly by 256 bytes (erase flash first) and size by 256 bytes
+        await this.write(address, new Uint8Array(payload).subarray(0, size));
+    }
+
+
+    // Writes data to memory (flash or SRAM), flash has to be erased
+    // first and needs 256 byte aligned addresses and sizes
+    // * https://datasheets.raspberrypi.com/rp2350/rp2350-datasheet.pdf?#page=405
+    // * https://datasheets.raspberrypi.com/rp2040/rp2040-datasheet.pdf?#page=149
+    async write(address, data){
         if(this.device === null){
             return;
         }
 
         // Build the packet base
-        const packet = this.#buildCmdPacketBase(0x05, 0x08, size);
+        const packet = this.#buildCmdPacketBase(0x05, 0x08, data.byteLength);
 
         // Set the cmd arg(s)
         const packetView = new DataView(packet);
-        packetView.setUint32(0x10, address, true); // Address (must be divisible exactly by 256 bytes, erase flash first)
-        packetView.setUint32(0x14, size, true);    // Size (bytes, last 256 byte portion will be zero filled at end if not exactly divisible by 256 bytes)
-    
-        // Send cmd packet
-        await this.#sendPacket(packet);
+        packetView.setUint32(0x10, address,         true);  // Address
+        packetView.setUint32(0x14, data.byteLength, true);  // Size (bytes)
+
+        // Send cmd packet followed by the payload
+        await this.#sendCommand(packet, data);
+    }
+
+
+    // Reads a range of flash, the address should be in the XIP
+    // address space (starting at `PICOBOOT_MEMORY_MAP.FLASH_START`)
+    async flashRead(address, size){
+        return await this.read(address, size);
+    }
+
+
+    // Reads a range of memory (flash, SRAM or ROM) from the device
+    // * https://datasheets.raspberrypi.com/rp2350/rp2350-datasheet.pdf?#page=405
+    // * https://datasheets.raspberrypi.com/rp2040/rp2040-datasheet.pdf?#page=149
+    async read(address, size){
+        if(this.device === null){
+            return;
+        }
+
+        // Build the packet base (bit 7 of the command ID marks an IN data phase)
+        const packet = this.#buildCmdPacketBase(0x84, 0x08, size);
+
+        // Set the cmd arg(s)
+        const packetView = new DataView(packet);
+        packetView.setUint32(0x10, address, true); // Address (no alignment requirement)
+        packetView.setUint32(0x14, size, true);    // Size (bytes, same as transfer length)
+
+        // Send cmd packet and read back the data
+        return await this.#sendCommand(packet, null, size);
+    }
+
+
+    // Calls a function in RAM (Thumb code) and waits for it to return, only for RP2040:
+    // * https://datasheets.raspberrypi.com/rp2040/rp2040-datasheet.pdf?#page=149
+    async exec(address){
+        if(this.device === null){
+            return;
+        }
+
+        // Build the packet base
+        const packet = this.#buildCmdPacketBase(0x08, 0x04, 0x00000000);
+
+        // Set the cmd arg(s)
+        const packetView = new DataView(packet);
+        packetView.setUint32(0x10, address, true);  // Function address
+
+        // Send packet
+        await this.#sendCommand(packet);
+    }
+
+
+    // Copies the table of flash functions the bootrom uses for mass storage and
+    // PICOBOOT to `address` in RAM so they can be replaced, only for RP2040:
+    // * https://datasheets.raspberrypi.com/rp2040/rp2040-datasheet.pdf?#page=149
+    async vectorizeFlash(address){
+        if(this.device === null){
+            return;
+        }
+
+        // Build the packet base
+        const packet = this.#buildCmdPacketBase(0x09, 0x04, 0x00000000);
+
+        // Set the cmd arg(s)
+        const packetView = new DataView(packet);
+        packetView.setUint32(0x10, address, true);  // Where in RAM to put the table
+
+        // Send packet
+        await this.#sendCommand(packet);
+    }
+
+
+    // Reads `count` OTP rows starting at `row`, only for RP2350. With ECC (default) each row
+    // is 16 bits of error corrected data, raw rows are 24 bits. Returns a `Uint16Array`
+    // (ECC) or `Uint32Array` (raw):
+    // * https://datasheets.raspberrypi.com/rp2350/rp2350-datasheet.pdf?#page=407
+    async otpRead(row, count, {ecc=true}={}){
+        if(this.device === null){
+            return;
+        }
+
+        const rowSize = ecc ? 2 : 4;
+
+        // Build the packet base (bit 7 of the command ID marks an IN data phase)
+        const packet = this.#buildCmdPacketBase(0x8c, 0x05, count*rowSize);
+
+        // Set the cmd arg(s)
+        const packetView = new DataView(packet);
+        packetView.setUint16(0x10, row,   true);    // First row
+        packetView.setUint16(0x12, count, true);    // Number of rows
+        packetView.setUint8( 0x14, ecc ? 1 : 0);    // ECC or raw access
+
+        // Send cmd packet and read back the rows
+        const data = await this.#sendCommand(packet, null, count*rowSize);
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+        const rows = ecc ? new Uint16Array(count) : new Uint32Array(count);
+        rows.forEach((_, i) => rows[i] = ecc ? view.getUint16(i*2, true) : view.getUint32(i*4, true));
+
+        return rows;
+    }
+
+
+    // Writes `values` to consecutive OTP rows starting at `row`, only for RP2350. With ECC
+    // (default) each value is 16 bits, raw values are 24 bits. OTP bits can only ever be
+    // set, this can't be undone:
+    // * https://datasheets.raspberrypi.com/rp2350/rp2350-datasheet.pdf?#page=407
+    async otpWrite(row, values, {ecc=true}={}){
+        if(this.device === null){
+            return;
+        }
+
+        const rowSize = ecc ? 2 : 4;
+        const data    = new Uint8Array(values.length*rowSize);
+        const view    = new DataView(data.buffer);
+        values.forEach((value, i) => ecc ? view.setUint16(i*2, value, true) : view.setUint32(i*4, value, true));
+
+        // Build the packet base
+        const packet = this.#buildCmdPacketBase(0x0d, 0x05, data.byteLength);
+
+        // Set the cmd arg(s)
+        const packetView = new DataView(packet);
+        packetView.setUint16(0x10, row,           true);    // First row
+        packetView.setUint16(0x12, values.length, true);    // Number of rows
+        packetView.setUint8( 0x14, ecc ? 1 : 0);            // ECC or raw access
+
+        // Send cmd packet followed by the row data
+        await this.#sendCommand(packet, data);
+    }
+
+
+    // Sends GET_INFO and returns the response words after the leading word count, only
+    // for RP2350. `params` are up to three 32-bit type specific parameters, `maxSize` is
+    // the size of the response buffer (the device always sends that many bytes):
+    // * https://datasheets.raspberrypi.com/rp2350/rp2350-datasheet.pdf?#page=406
+    async getInfo(type, params=[], maxSize=256){
+        if(this.device === null){
+            return;
+        }
+
+        // Build the packet base (bit 7 of the command ID marks an IN data phase)
+        const packet = this.#buildCmdPacketBase(0x8b, 0x10, maxSize);
+
+        // Set the cmd arg(s)
+        const packetView = new DataView(packet);
+        packetView.setUint8(0x10, type);    // Info type, see `PICOBOOT_INFO_TYPES`
+        params.forEach((param, i) => packetView.setUint32(0x14 + i*4, param, true));
+
+        // Send cmd packet and read back the response
+        const data  = await this.#sendCommand(packet, null, maxSize);
+        const words = new Uint32Array(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+
+        return words.subarray(1, 1 + Math.min(words[0], words.length-1));
+    }
+
+
+    // Decoded system info (GET_INFO type SYS), only for RP2350. Returns:
+    // * package:     "QFN60" (RP2350A) or "QFN80" (RP2350B)
+    // * chipId:      64-bit chip ID as a hex string
+    // * critical:    OTP critical flags (secure boot, debug, architecture)
+    // * cpu:         "arm" or "riscv", the architecture the bootrom is running on
+    // * flash:       Sizes of the devices on both chip selects in bytes (0 when not present)
+    // * bootRandom:  128-bit random number generated every boot as a hex string
+    // * boot:        How the device last booted and the bootrom's diagnostics for it
+    async sysInfo(){
+        const flags = SYS_INFO_FLAGS.CHIP_INFO | SYS_INFO_FLAGS.CRITICAL | SYS_INFO_FLAGS.CPU_INFO |
+                      SYS_INFO_FLAGS.FLASH_DEV_INFO | SYS_INFO_FLAGS.BOOT_RANDOM | SYS_INFO_FLAGS.BOOT_INFO;
+        const words = await this.getInfo(PICOBOOT_INFO_TYPES.SYS, [flags]);
+        if(words === undefined){
+            return;
+        }
+
+        // First word is the set of flags the bootrom filled in, fields follow in flag order
+        const included = words[0];
+        let offset = 1;
+        const take = (count) => {
+            offset += count;
+            return words.subarray(offset-count, offset);
+        }
+        const hex = (values) => Array.from(values).reverse().map(word => word.toString(16).padStart(8, "0")).join("");
+
+        let info = {};
+
+        if(included & SYS_INFO_FLAGS.CHIP_INFO){
+            const [packageSel, deviceId, waferId] = take(3);
+            info.package = (packageSel & 1) ? "QFN60" : "QFN80";
+            info.chipId  = hex([deviceId, waferId]);
+        }
+
+        if(included & SYS_INFO_FLAGS.CRITICAL){
+            const [critical] = take(1);
+            info.critical = {
+                secureBootEnable:     (critical & 0x00001) != 0,
+                secureDebugDisable:   (critical & 0x00002) != 0,
+                debugDisable:         (critical & 0x00004) != 0,
+                defaultArch:          (critical & 0x00008) ? "riscv" : "arm",
+                glitchDetectorEnable: (critical & 0x00010) != 0,
+                glitchDetectorSens:   (critical >> 5) & 0x3,
+                armDisable:           (critical & 0x10000) != 0,
+                riscvDisable:         (critical & 0x20000) != 0
+            };
+        }
+
+        if(included & SYS_INFO_FLAGS.CPU_INFO){
+            info.cpu = take(1)[0] == 1 ? "riscv" : "arm";
+        }
+
+        if(included & SYS_INFO_FLAGS.FLASH_DEV_INFO){
+            const [devInfo] = take(1);
+            const size = (field) => field == 0 ? 0 : 4096 << field;
+            info.flash = {
+                cs0Size:           size((devInfo >> 8) & 0xf),
+                cs1Size:           size((devInfo >> 12) & 0xf),
+                cs1Gpio:           devInfo & 0x3f,
+                d8hEraseSupported: (devInfo & 0x80) != 0
+            };
+        }
+
+        if(included & SYS_INFO_FLAGS.BOOT_RANDOM){
+            info.bootRandom = hex(take(4));
+        }
+
+        if(included & SYS_INFO_FLAGS.BOOT_INFO){
+            const [bootWord, diagnostic, param0, param1] = take(4);
+            const bootType = (bootWord >> 8) & 0xff;
+
+            info.boot = {
+                type:                Object.keys(PICOBOOT_BOOT_TYPES).find(name => PICOBOOT_BOOT_TYPES[name] == (bootType & 0x7f)) ?? "UNKNOWN",
+                chained:             (bootType & 0x80) != 0,
+                partition:           (bootWord << 8) >> 24,     // Signed, negative if not booted from a partition
+                diagnosticPartition: (bootWord << 24) >> 24,    // Signed, which partition `diagnostic` is about
+                tbybAndUpdateInfo:   bootWord >>> 24,
+                diagnostic,
+                params:              [param0, param1]
+            };
+        }
+
+        return info;
+    }
+
+
+    // Decoded partition table (GET_INFO type PARTITION_TABLE), only for RP2350. Returns
+    // `{present, unpartitionedPermissions, partitions}`, each partition has its flash
+    // offsets (`start`, `end`, `size`), permissions, accepted family IDs, ID and name
+    async partitionTable(){
+        const flags = PT_INFO_FLAGS.PT_INFO | PT_INFO_FLAGS.PARTITION_LOCATION_AND_FLAGS | PT_INFO_FLAGS.PARTITION_ID |
+                      PT_INFO_FLAGS.PARTITION_FAMILY_IDS | PT_INFO_FLAGS.PARTITION_NAME;
+        const words = await this.getInfo(PICOBOOT_INFO_TYPES.PARTITION_TABLE, [flags], 1024);
+        if(words === undefined){
+            return;
+        }
+
+        const included = words[0];
+        if(!(included & PT_INFO_FLAGS.PT_INFO) || !(included & PT_INFO_FLAGS.PARTITION_LOCATION_AND_FLAGS)){
+            throw new PicobootError("picoboot.js: ERROR: Device did not return the partition table layout (flags 0x" + included.toString(16) + ")");
+        }
+
+        const count   = words[1] & 0xff;
+        const present = (words[1] & 0x100) != 0;
+        let offset    = 3;
+
+        let partitions = [];
+        for(let i=0; i<count; i++){
+            const partition = decodePartition(i, words[offset], words[offset+1]);
+            offset += 2;
+
+            if((included & PT_INFO_FLAGS.PARTITION_ID) && partition.hasId){
+                partition.id = words[offset+1].toString(16).padStart(8, "0") + words[offset].toString(16).padStart(8, "0");
+                offset += 2;
+            }
+
+            if(included & PT_INFO_FLAGS.PARTITION_FAMILY_IDS){
+                partition.familyIds.push(...words.subarray(offset, offset + partition.extraFamilies));
+                offset += partition.extraFamilies;
+            }
+
+            // Name is a length byte followed by the characters, padded to a whole word
+            if((included & PT_INFO_FLAGS.PARTITION_NAME) && partition.hasName){
+                const bytes  = new Uint8Array(words.buffer, words.byteOffset + offset*4);
+                const length = bytes[0] & 0x7f;
+                partition.name = new TextDecoder().decode(bytes.subarray(1, 1 + length));
+                offset += Math.ceil((length + 1) / 4);
+            }
+
+            partitions.push(partition);
+        }
+
+        return {
+            present,
+            unpartitionedPermissions: decodePermissions(words[2]),
+            partitions
+        };
+    }
+
+
+    // Asks the bootrom which partition a UF2 with `familyId` would be written to if it was
+    // copied to the BOOTSEL drive (GET_INFO type UF2_TARGET_PARTITION), only for RP2350.
+    // Returns the decoded partition (see `partitionTable()`) or `null` if there's no
+    // partition table or no partition accepts the family (addresses are then absolute)
+    async uf2TargetPartition(familyId){
+        const words = await this.getInfo(PICOBOOT_INFO_TYPES.UF2_TARGET_PARTITION, [familyId]);
+        if(words === undefined){
+            return;
+        }
+
+        const index = words[0] | 0;     // Signed
+        if(index < 0 || words.length < 3){
+            return null;
+        }
 
-        // Send payload
-        await this.#sendPacket(payload);
+        return decodePartition(index, words[1], words[2]);
     }
 }
 
@@ -1,17 +1,106 @@
-import Picoboot, {PICOBOOT_EXCLUSIVE_MODES } from "./picoboot";
+import {PICOBOOT_EXCLUSIVE_MODES, PICOBOOT_MEMORY_MAP, PICOBOOT_USB_FILTERS, PicobootClaimError} from "./picoboot.js";
+import UF2, {UF2_FAMILY_IDS} from "./uf2.js";
+import BinaryInfo from "./binaryinfo.js";
+import ELF, {ELF_MACHINES} from "./elf.js";
+
+// https://datasheets.raspberrypi.com/rp2350/rp2350-datasheet.pdf?#page=1290
+// Well known RP2350 OTP rows decoded by `Picotool.otpInfo()`
+export const OTP_ROWS = {
+    CHIPID0:     0x000,     // 4 ECC rows, 64-bit public chip ID (least significant row first)
+    RANDID0:     0x004,     // 8 ECC rows, 128-bit per-chip random ID
+    NUM_GPIOS:   0x018,     // ECC
+    CRIT1:       0x040,     // 8 redundant raw rows, secure boot/debug settings
+    BOOT_FLAGS0: 0x048,     // 3 redundant raw rows
+    BOOT_FLAGS1: 0x04b,     // 3 redundant raw rows
+    BOOTKEY0_0:  0x080,     // 4 keys of 16 ECC rows each (SHA-256 of the public key)
+    USER_START:  0x0c0      // First row not used by the bootrom, free for board data
+}
+
 
 // Basic implementation of https://github.com/raspberrypi/picotool
 // Only implemented functions needed
-export default class Picotool{
+//
+// Events (dispatched on the `Picotool` instance while `save()`, `load()` or `loadRam()` run):
+// * "progress": `event.detail` is `{phase, bytesDone, bytesTotal, bytesPerSecond, etaSeconds}`.
+//               `phase` is "connect", "read", "erase", "write", "verify" or "reboot", byte
+//               counts and rates are for the current phase (0 for "connect" and "reboot")
+export default class Picotool extends EventTarget{
+    #signal     = null;     // `AbortSignal` of the running operation
+    #progressCB = null;     // Progress callback of the running operation
+    #phase      = null;     // `{name, start}` of the current progress phase
+
     constructor(picoboot){
+        super();
         this.picoboot = picoboot;
     }
 
-    // https://github.com/raspberrypi/picotool?tab=readme-ov-file#load
-    // Loads the uf2 data into respective flash locations
-    async load(uf2Data, progressCB){
+
+    // Runs `operation` with the `signal` from `options` and `progressCB` hooked up. If the
+    // signal aborts, the operation stops before its next command and the abort reason is
+    // thrown. When it fails (or aborts) the device is left in BOOTSEL with exclusive access released
+    async #run(options, progressCB, operation){
+        this.#signal     = options.signal ?? null;
+        this.#progressCB = progressCB ?? null;
+        this.#phase      = null;
+
+        try{
+            this.#checkAbort();
+            return await operation();
+        }catch(error){
+            if(this.picoboot.connected()){
+                // Best effort, the original error is what matters to the caller
+                try{
+                    await this.picoboot.exclusive(PICOBOOT_EXCLUSIVE_MODES.NOT_EXCLUSIVE);
+                }catch(releaseError){}
+            }
+
+            throw error;
+        }finally{
+            this.#signal     = null;
+            this.#progressCB = null;
+        }
+    }
+
+
+    // Throws the abort reason if the running operation was aborted, called between commands
+    #checkAbort(){
+        if(this.#signal !== null){
+            this.#signal.throwIfAborted();
+        }
+    }
+
+
+    // Reports progress for `phase`, throughput and ETA are measured from the first report
+    // of the phase. The progress callback gets the fraction done of reading, writing and
+    // verifying, not erasing (the bar would start over one more time during `load()`). Called
+    // before each command so it also stops the operation if it was aborted (including
+    // by a progress listener)
+    #progress(phase, bytesDone=0, bytesTotal=0){
+        if(this.#phase === null || this.#phase.name != phase){
+            this.#phase = {name: phase, start: Date.now()};
+        }
+
+        const seconds        = (Date.now() - this.#phase.start) / 1000;
+        const bytesPerSecond = seconds > 0 ? bytesDone / seconds : 0;
+        const etaSeconds     = bytesPerSecond > 0 ? (bytesTotal - bytesDone) / bytesPerSecond : null;
+
+        this.dispatchEvent(new CustomEvent("progress", {detail: {phase, bytesDone, bytesTotal, bytesPerSecond, etaSeconds}}));
+
+        if(this.#progressCB !== null && bytesTotal > 0 && phase != "erase"){
+            this.#progressCB(bytesDone/bytesTotal);
+        }
+
+        this.#checkAbort();
+    }
+
+
+    // Connects to a device in BOOTSEL (unless `picoboot` is still connected to one,
+    // e.g. after `save()` or opened with `Picoboot.open()`) and prepares it for flash access
+    async #connect(){
         // Connect
-        await this.picoboot.connect([{vendorId: 0x2E8A, productId: 0x0003}, {vendorId: 0x2E8A, productId: 0x000F}]);
+        if(!this.picoboot.connected()){
+            await this.picoboot.connect(PICOBOOT_USB_FILTERS);
+        }
 
         // Get exclusive access to the USB interface and make
         // MSC file manager popup disappear
@@ -19,62 +108,783 @@ export default class Picotool{
 
         // Wireshark shows this after every erase and write but it seems to work by just doing it once
         await this.picoboot.exitXIP();
+    }
+
 
-        // Used for storing and checking which sectors have
-        // been erased. UF2 blocks can be in any order, need
-        // to track them
-        let erasedSectors = {};
-        const erased = (address) => {
-            const sectorIndex = Math.floor(address/this.picoboot.sectorSize);
+    // Figures out the size of the flash chip the same way picotool does: addresses past
+    // the end of the chip mirror the start, so look for the first power of two offset that
+    // reads back the same as the first page. Can't tell anything if the first page is erased
+    async #guessFlashSize(){
+        const first = await this.picoboot.flashRead(PICOBOOT_MEMORY_MAP.FLASH_START, this.picoboot.pageSize);
+
+        if(first.every(byte => byte == 0xff)){
+            throw new Error("picotool.js: ERROR: Could not determine flash size (start of flash is erased), pass an explicit size instead");
+        }
 
-            // Check if erased and then make sure it is marked erased
-            const erased = sectorIndex in erasedSectors;
-            erasedSectors[sectorIndex] = true;
+        for(let size=64*1024; size<PICOBOOT_MEMORY_MAP.FLASH_MAX_SIZE; size*=2){
+            const page = await this.picoboot.flashRead(PICOBOOT_MEMORY_MAP.FLASH_START+size, this.picoboot.pageSize);
 
-            // Return if it was erased
-            return erased;
+            if(page.every((byte, i) => byte == first[i])){
+                return size;
+            }
         }
 
-        // Cast to common `Uint8Array`
-        const data = new Uint8Array(uf2Data);
+        return PICOBOOT_MEMORY_MAP.FLASH_MAX_SIZE;
+    }
+
+
+    // Returns if the connected device is an RP2350 (otherwise RP2040)
+    #isRP2350(){
+        return this.picoboot.chip() == "RP2350";
+    }
+
+
+    // Family ID that UF2s made by `save()` are tagged with, RP2350 dumps
+    // are raw flash contents so they get tagged as absolute
+    #defaultFamilyId(){
+        if(this.#isRP2350()){
+            return UF2_FAMILY_IDS.ABSOLUTE;
+        }
+
+        return UF2_FAMILY_IDS.RP2040;
+    }
+
+
+    // UF2 family IDs the connected device (or `chip`) accepts. The RP2040
+    // bootrom also accepts blocks that are not tagged with a family ID
+    #deviceFamilyIds(chip=this.picoboot.chip()){
+        if(chip == "RP2350"){
+            return [UF2_FAMILY_IDS.RP2350_ARM_S, UF2_FAMILY_IDS.RP2350_ARM_NS, UF2_FAMILY_IDS.RP2350_RISCV,
+                    UF2_FAMILY_IDS.ABSOLUTE,     UF2_FAMILY_IDS.DATA];
+        }
+
+        return [UF2_FAMILY_IDS.RP2040, null];
+    }
+
+
+    // https://github.com/raspberrypi/picotool?tab=readme-ov-file#save
+    // Reads device flash back and returns it as a raw binary or as a UF2. Saves all
+    // of flash unless `address` and/or `size` are given. Options:
+    // * address:  Absolute start address, defaults to the start of flash
+    // * size:     Number of bytes to save, defaults to the rest of the flash chip
+    // * format:   "bin" or "uf2"
+    // * familyId: UF2 family ID, defaults to one that matches the connected device
+    // * signal:   `AbortSignal` to stop saving, see the "progress" event for progress
+    async save(options={}, progressCB){
+        return await this.#run(options, progressCB, () => this.#save(options));
+    }
+
+
+    async #save(options){
+        const address = options.address ?? PICOBOOT_MEMORY_MAP.FLASH_START;
+        const format  = options.format ?? "bin";
+
+        if(format != "bin" && format != "uf2"){
+            throw new Error("picotool.js: ERROR: Unknown save format '" + format + "', expected 'bin' or 'uf2'");
+        }
+
+        this.#progress("connect");
+        await this.#connect();
+
+        let size = options.size;
+        if(size === undefined){
+            size = PICOBOOT_MEMORY_MAP.FLASH_START + await this.#guessFlashSize() - address;
+        }
+
+        if(size <= 0){
+            throw new Error("picotool.js: ERROR: Nothing to save, address 0x" + address.toString(16) + " is past the end of flash");
+        }
+
+        // Read in sector sized chunks so progress can be reported
+        const data = new Uint8Array(size);
+
+        for(let offset=0; offset<size; offset+=this.picoboot.sectorSize){
+            this.#progress("read", offset, size);
+
+            const chunkSize = Math.min(this.picoboot.sectorSize, size-offset);
+            data.set(await this.picoboot.flashRead(address+offset, chunkSize), offset);
+        }
+        this.#progress("read", size, size);
+
+        // Give the mass storage interface back, device stays in BOOTSEL
+        await this.picoboot.exclusive(PICOBOOT_EXCLUSIVE_MODES.NOT_EXCLUSIVE);
+
+        if(format == "uf2"){
+            return UF2.fromBinary(data, address, options.familyId ?? this.#defaultFamilyId()).toUint8Array();
+        }
+
+        return data;
+    }
+
 
-        // https://github.com/microsoft/uf2
-        const blockSize = 512;
-        const blockCount = uf2Data.byteLength/blockSize;
+    // Lays blocks of `{address, data}` (in any order) out into whole flash sectors and merges
+    // neighbouring sectors into contiguous runs. Returns a sorted list of `{address, data}`
+    // runs, parts of sectors not covered by any block are 0xff (what erasing leaves)
+    #sectorRuns(blocks){
+        const sectorSize = this.picoboot.sectorSize;
 
-        // Parse the UF2 block by block, extract the data sections
-        // and write them to the device flash
-        for(let i=0; i<blockCount; i++){
-            const blockStartOffset = i*blockSize;
-            const blockEndOffset   = blockStartOffset + blockSize;
-            
-            const block     = data.slice(blockStartOffset, blockEndOffset);
-            const blockView = new DataView(block);
+        // Sector index -> sector contents
+        let sectors = new Map();
+        blocks.forEach(({address, data}) => {
+            for(let offset=0; offset<data.byteLength;){
+                const sectorIndex  = Math.floor((address+offset)/sectorSize);
+                const sectorOffset = (address+offset) % sectorSize;
+                const length       = Math.min(data.byteLength-offset, sectorSize-sectorOffset);
 
-            const blockDataAddr = blockView.getUint32(12, true);
-            const blockDataSize = blockView.getUint32(16, true);
-            const blockData     = block.slice(32, 32+blockDataSize);
+                if(!sectors.has(sectorIndex)){
+                    sectors.set(sectorIndex, new Uint8Array(sectorSize).fill(0xff));
+                }
 
-            // Erase sector containing where data will be written
-            // if not already tracked as erased
-            if(!erased(blockDataAddr)){
-                await this.picoboot.flashEraseSector(blockDataAddr);
+                sectors.get(sectorIndex).set(data.subarray(offset, offset+length), sectorOffset);
+                offset += length;
             }
+        });
 
-            await this.picoboot.flashWrite(blockDataAddr, blockDataSize, blockData);
+        // Merge sectors with consecutive indices
+        let runs = [];
+        const sectorIndices = [...sectors.keys()].sort((a, b) => a - b);
 
-            if(progressCB) progressCB(i/blockCount);
+        for(let i=0; i<sectorIndices.length;){
+            let end = i+1;
+            while(end < sectorIndices.length && sectorIndices[end] == sectorIndices[end-1]+1){
+                end += 1;
+            }
+
+            const data = new Uint8Array((end-i)*sectorSize);
+            for(let j=i; j<end; j++){
+                data.set(sectors.get(sectorIndices[j]), (j-i)*sectorSize);
+            }
+
+            runs.push({address: sectorIndices[i]*sectorSize, data});
+            i = end;
         }
 
-        // Figure out device type for correct reboot command, and then reboot
-        const info = await this.picoboot.info();
+        return runs;
+    }
+
+
+    // Erases each run with a single command and then writes them in chunks of up to
+    // `maxWriteSize`, skipping sectors that are all 0xff since erasing already did that
+    async #flashRuns(runs){
+        const sectorSize   = this.picoboot.sectorSize;
+        const maxWriteSize = 16 * sectorSize;
+        const totalSize    = runs.reduce((total, run) => total + run.data.byteLength, 0);
+        let doneSize       = 0;
+
+        const blank = (data) => data.every(byte => byte == 0xff);
+
+        for(const {address, data} of runs){
+            this.#progress("erase", doneSize, totalSize);
+            await this.picoboot.flashErase(address, data.byteLength);
+            doneSize += data.byteLength;
+        }
+        this.#progress("erase", totalSize, totalSize);
+
+        doneSize = 0;
+        for(const {address, data} of runs){
+            for(let offset=0; offset<data.byteLength;){
+                this.#progress("write", doneSize+offset, totalSize);
+
+                // Skip over erased looking sectors
+                if(blank(data.subarray(offset, offset+sectorSize))){
+                    offset += sectorSize;
+                }else{
+                    // Extend the write over following sectors that have data in them
+                    let end = offset + sectorSize;
+                    while(end < data.byteLength && end-offset < maxWriteSize && !blank(data.subarray(end, end+sectorSize))){
+                        end += sectorSize;
+                    }
+
+                    await this.picoboot.flashWrite(address+offset, end-offset, data.subarray(offset, end));
+                    offset = end;
+                }
+            }
+
+            doneSize += data.byteLength;
+        }
+        this.#progress("write", totalSize, totalSize);
+    }
 
-        if(info.productName.indexOf("RP2") != -1){
-            await this.picoboot.rebootRP2040();
-        }else if(info.productName.indexOf("RP2350") != -1){
-            await this.picoboot.rebootRP2350();
+
+    // Reads back each range that was written in sector sized chunks (so progress can be
+    // reported and aborting stops it partway) and compares it against what was sent,
+    // throws with the first address that doesn't match
+    async #verify(writtenBlocks){
+        const sectorSize = this.picoboot.sectorSize;
+        const totalSize  = writtenBlocks.reduce((total, block) => total + block.data.byteLength, 0);
+        let doneSize     = 0;
+
+        for(const {address, data} of writtenBlocks){
+            for(let offset=0; offset<data.byteLength; offset+=sectorSize){
+                this.#progress("verify", doneSize+offset, totalSize);
+
+                const expected = data.subarray(offset, offset+sectorSize);
+                const readBack = await this.picoboot.flashRead(address+offset, expected.byteLength);
+
+                const mismatchIndex = expected.findIndex((byte, index) => byte != readBack[index]);
+                if(mismatchIndex != -1){
+                    const mismatchAddress = address + offset + mismatchIndex;
+                    const error = new Error("picotool.js: ERROR: Verify failed at address 0x" + mismatchAddress.toString(16) +
+                                            " (expected 0x" + expected[mismatchIndex].toString(16) +
+                                            ", read 0x" + readBack[mismatchIndex].toString(16) + "), device was not rebooted");
+                    error.address = mismatchAddress;
+                    throw error;
+                }
+            }
+
+            doneSize += data.byteLength;
+        }
+        this.#progress("verify", totalSize, totalSize);
+    }
+
+
+    // Moves RP2350 blocks into the partition they should be loaded into. Blocks of every
+    // family except absolute ones are addressed relative to the start of flash and get
+    // the partition's offset added, `partition` is an index into the partition table or
+    // `undefined` to use whichever partition the bootrom picks for each family. Returns
+    // `{blocks, partition}` where `partition` is the index everything was moved into
+    // (`null` if nothing was moved or blocks went to different partitions)
+    async #relocate(blocks, partition){
+        if(!this.#isRP2350() || partition === null){
+            return {blocks, partition: null};
+        }
+
+        // Family ID -> partition (`null` to leave blocks at the UF2 address)
+        let targets = new Map();
+
+        if(partition !== undefined){
+            const table = await this.picoboot.partitionTable();
+            if(!table.present || table.partitions[partition] === undefined){
+                throw new Error("picotool.js: ERROR: Device has no partition " + partition + " (" + table.partitions.length + " partitions)");
+            }
+
+            blocks.forEach(block => targets.set(block.familyId, table.partitions[partition]));
         }else{
-            throw new Error("picotool.js: ERROR: Could not identify device based on product name, could not reboot!");
+            for(const familyId of new Set(blocks.map(block => block.familyId))){
+                targets.set(familyId, await this.picoboot.uf2TargetPartition(familyId));
+            }
         }
+
+        let used = new Set();
+        blocks = blocks.map(block => {
+            const target = targets.get(block.familyId);
+            if(target === null || block.familyId == UF2_FAMILY_IDS.ABSOLUTE){
+                used.add(null);
+                return block;
+            }
+
+            const offset = block.address - PICOBOOT_MEMORY_MAP.FLASH_START;
+            if(offset < 0 || offset + block.data.byteLength > target.size){
+                throw new Error("picotool.js: ERROR: Block at 0x" + block.address.toString(16) + " does not fit in partition " + target.index +
+                                " (" + target.size + " bytes)");
+            }
+
+            used.add(target.index);
+            return {...block, address: PICOBOOT_MEMORY_MAP.FLASH_START + target.start + offset};
+        });
+
+        return {blocks, partition: used.size == 1 ? [...used][0] : null};
+    }
+
+
+    // Works out whether `data` is a UF2, ELF or raw binary from its magic bytes and parses
+    // it, so bad files are caught before the device is touched. Raw binaries are placed at
+    // `address`. Returns `{format, uf2, elf, blocks}`, `blocks` is `null` for UF2s since
+    // which blocks get loaded depends on the connected chip (see `#imageBlocks()`)
+    #parseImage(data, address){
+        const bytes = new Uint8Array(data);
+
+        if(UF2.isUF2(bytes)){
+            return {format: "uf2", uf2: UF2.parse(bytes), elf: null, blocks: null};
+        }else if(ELF.isELF(bytes)){
+            const elf = ELF.parse(bytes);
+            return {format: "elf", uf2: null, elf, blocks: elf.segments};
+        }
+
+        return {format: "bin", uf2: null, elf: null, blocks: [{address, data: bytes}]};
+    }
+
+
+    // Blocks of a parsed image (see `#parseImage()`) that are for the connected chip, throws
+    // if there are none (UF2s with only other families, ELFs for the wrong architecture)
+    #imageBlocks(image){
+        if(image.format == "elf"){
+            const machines = this.#isRP2350() ? [ELF_MACHINES.ARM, ELF_MACHINES.RISCV] : [ELF_MACHINES.ARM];
+            if(!machines.includes(image.elf.machine)){
+                throw new Error("picotool.js: ERROR: ELF is for machine 0x" + image.elf.machine.toString(16) + " which the connected device can't run");
+            }
+        }
+
+        if(image.format != "uf2"){
+            if(image.blocks.every(block => block.data.byteLength == 0)){
+                throw new Error("picotool.js: ERROR: Nothing to load, " + image.format + " file has no data");
+            }
+
+            return image.blocks;
+        }
+
+        const blocks = image.uf2.filterFamily(...this.#deviceFamilyIds()).flashBlocks();
+        if(blocks.length == 0){
+            const familyIds = image.uf2.familyIds().map(familyId => familyId === null ? "none" : "0x" + familyId.toString(16));
+            throw new Error("picotool.js: ERROR: UF2 has no blocks for the connected device (UF2 family IDs: " + familyIds.join(", ") + ")");
+        }
+
+        return blocks;
+    }
+
+
+    // https://github.com/raspberrypi/picotool?tab=readme-ov-file#load
+    // Loads a UF2, ELF or raw binary into flash (the format is detected from the data).
+    // UF2 blocks for other chips are skipped, ELF segments are loaded at their physical
+    // addresses. Throws before anything is erased if there's nothing for the connected
+    // chip or any data is outside of flash (see `loadRam()` for SRAM images). Options:
+    // * address:   Where a raw binary is loaded (like `picotool load -o`), defaults to the start of flash
+    // * verify:    Read back everything that was written and compare it before
+    //              rebooting (like `picotool load -v`). Progress is reported for
+    //              writing and then again for verifying
+    // * partition: RP2350 only, index of the partition to load into (like `picotool
+    //              load -p`). By default each family goes where the bootrom would put
+    //              it if the UF2 was copied to the BOOTSEL drive (e.g. the inactive A/B
+    //              slot), or at the UF2 addresses if there's no partition table. `null`
+    //              always uses the UF2 addresses
+    // * signal:    `AbortSignal` to stop loading, see the "progress" event for progress
+    // * driveFallback: Async function that returns the BOOTSEL drive's `FileSystemDirectoryHandle`
+    //              (e.g. from `showDirectoryPicker()`), called with the `PicobootClaimError` when
+    //              the device can't be claimed over WebUSB. UF2s are then copied to the drive
+    //              instead, see `loadDrive()`
+    async load(data, progressCB, options={}){
+        return await this.#run(options, progressCB, () => this.#load(data, options));
+    }
+
+
+    async #load(data, options){
+        // Validate the whole file before touching the device
+        const image = this.#parseImage(data, options.address ?? PICOBOOT_MEMORY_MAP.FLASH_START);
+
+        this.#progress("connect");
+        try{
+            await this.#connect();
+        }catch(error){
+            if(error instanceof PicobootClaimError && options.driveFallback !== undefined){
+                return await this.#loadDrive(await options.driveFallback(error), data, options);
+            }
+
+            throw error;
+        }
+
+        // Only UF2s are addressed relative to a partition
+        let blocks    = this.#imageBlocks(image);
+        let partition = null;
+        if(image.format == "uf2"){
+            ({blocks, partition} = await this.#relocate(blocks, options.partition));
+        }
+
+        const flashEnd = PICOBOOT_MEMORY_MAP.FLASH_START + PICOBOOT_MEMORY_MAP.FLASH_MAX_SIZE;
+        blocks.forEach(({address, data}) => {
+            if(address < PICOBOOT_MEMORY_MAP.FLASH_START || address + data.byteLength > flashEnd){
+                const inSram = address >= PICOBOOT_MEMORY_MAP.SRAM_START && address < PICOBOOT_MEMORY_MAP.SRAM_END_RP2350;
+                throw new Error("picotool.js: ERROR: Data at 0x" + address.toString(16) + " is outside of flash" +
+                                (inSram ? ", use loadRam() for SRAM images" : "") + ", refusing to load it");
+            }
+        });
+
+        // Erase and write everything as sector aligned runs
+        const runs = this.#sectorRuns(blocks);
+        await this.#flashRuns(runs);
+
+        // Don't reboot into firmware that didn't make it onto flash intact
+        if(options.verify){
+            await this.#verify(runs);
+        }
+
+        // Boot what was just loaded into a partition the same way the bootrom
+        // does after a UF2 download, otherwise reboot normally
+        this.#progress("reboot");
+        if(partition !== null){
+            await this.picoboot.reboot({type: "partition", partition});
+        }else{
+            await this.picoboot.reboot();
+        }
+    }
+
+
+    // https://datasheets.raspberrypi.com/rp2350/rp2350-datasheet.pdf?#page=397
+    // Reads INFO_UF2.TXT from a `FileSystemDirectoryHandle` to check it is a BOOTSEL drive.
+    // Returns `{bootloader, model, boardId, chip}`, throws if it isn't a BOOTSEL drive
+    async driveInfo(directory){
+        let text = null;
+        try{
+            const file = await (await directory.getFileHandle("INFO_UF2.TXT")).getFile();
+            text = await file.text();
+        }catch(error){
+            throw new Error("picotool.js: ERROR: '" + directory.name + "' is not a BOOTSEL drive (no INFO_UF2.TXT)");
+        }
+
+        // First line is the bootloader version, the rest are "Key: value" lines
+        const lines = text.split(/\r?\n/);
+        let fields  = {};
+        lines.slice(1).forEach(line => {
+            const separator = line.indexOf(":");
+            if(separator != -1){
+                fields[line.slice(0, separator).trim()] = line.slice(separator+1).trim();
+            }
+        });
+
+        const boardId = fields["Board-ID"] ?? "";
+        const chip    = boardId == "RPI-RP2" ? "RP2040" : (boardId.startsWith("RP2350") ? "RP2350" : null);
+        if(chip === null){
+            throw new Error("picotool.js: ERROR: '" + directory.name + "' is a UF2 drive for an unsupported board (Board-ID '" + boardId + "')");
+        }
+
+        return {bootloader: lines[0].trim(), model: fields["Model"] ?? null, boardId, chip};
+    }
+
+
+    // Copies a UF2 to a BOOTSEL drive (`FileSystemDirectoryHandle`) like dragging and dropping
+    // it, for when WebUSB can't claim the device (see `PicobootClaimError`). Only blocks for the
+    // chip named in INFO_UF2.TXT are copied, throws before writing if there are none. The bootrom
+    // flashes the file and reboots by itself once it is complete. Reports the same "progress"
+    // events as `load()` except there's no erase or verify. Options:
+    // * name:   File name to write, defaults to "firmware.uf2"
+    // * signal: `AbortSignal` to stop copying, nothing reaches the drive if it aborts
+    async loadDrive(directory, data, progressCB, options={}){
+        return await this.#run(options, progressCB, () => this.#loadDrive(directory, data, options));
+    }
+
+
+    async #loadDrive(directory, data, options){
+        const bytes = new Uint8Array(data);
+        if(!UF2.isUF2(bytes)){
+            throw new Error("picotool.js: ERROR: Only UF2 files can be copied to a BOOTSEL drive");
+        }
+        const uf2 = UF2.parse(bytes);
+
+        this.#progress("connect");
+        const drive = await this.driveInfo(directory);
+
+        const output = uf2.filterFamily(...this.#deviceFamilyIds(drive.chip));
+        if(output.flashBlocks().length == 0){
+            const familyIds = uf2.familyIds().map(familyId => familyId === null ? "none" : "0x" + familyId.toString(16));
+            throw new Error("picotool.js: ERROR: UF2 has no blocks for the " + drive.chip + " drive (UF2 family IDs: " + familyIds.join(", ") + ")");
+        }
+        const outputBytes = output.toUint8Array();
+
+        // Browsers only replace the file on the drive when the stream is closed, so aborting
+        // before that leaves the drive untouched
+        const file     = await directory.getFileHandle(options.name ?? "firmware.uf2", {create: true});
+        const writable = await file.createWritable();
+        const chunkSize = 64 * 512;
+
+        try{
+            for(let offset=0; offset<outputBytes.byteLength; offset+=chunkSize){
+                this.#progress("write", offset, outputBytes.byteLength);
+                await writable.write(outputBytes.subarray(offset, offset+chunkSize));
+            }
+            this.#progress("write", outputBytes.byteLength, outputBytes.byteLength);
+            this.#progress("reboot");
+        }catch(error){
+            await writable.abort();
+            throw error;
+        }
+
+        await writable.close();
+    }
+
+
+    // https://github.com/raspberrypi/picotool?tab=readme-ov-file#load
+    // Loads a no_flash UF2, ELF or raw binary into SRAM and runs it (like `picotool load -x`),
+    // flash is never touched: throws before writing anything if any data is outside SRAM.
+    // RP2040 images start at `entry` (or the ELF entry point, or the reset vector if the image
+    // starts with a vector table, or the image start), RP2350 images are found and started by
+    // the bootrom. Options:
+    // * address: Where a raw binary is loaded, defaults to the start of SRAM (ignored for UF2s and ELFs)
+    // * entry:   RP2040 only, address to start executing at
+    // * verify:  Read everything back before running it
+    // * execute: Set to `false` to only load the image, defaults to `true`
+    // * signal:  `AbortSignal` to stop loading, see the "progress" event for progress
+    async loadRam(data, progressCB, options={}){
+        return await this.#run(options, progressCB, () => this.#loadRam(data, options));
+    }
+
+
+    async #loadRam(data, options){
+        const image = this.#parseImage(data, options.address ?? PICOBOOT_MEMORY_MAP.SRAM_START);
+
+        this.#progress("connect");
+        await this.#connect();
+
+        const blocks = this.#imageBlocks(image);
+        const entry  = options.entry ?? image.elf?.entry;
+
+        const sramEnd = this.#isRP2350() ? PICOBOOT_MEMORY_MAP.SRAM_END_RP2350 : PICOBOOT_MEMORY_MAP.SRAM_END_RP2040;
+        blocks.forEach(({address, data}) => {
+            if(address < PICOBOOT_MEMORY_MAP.SRAM_START || address + data.byteLength > sramEnd){
+                throw new Error("picotool.js: ERROR: Data at 0x" + address.toString(16) + " is outside of SRAM, refusing to load it");
+            }
+        });
+
+        // Merge blocks that follow on from each other so they can be written in bigger chunks
+        let runs = [];
+        [...blocks].sort((a, b) => a.address - b.address).forEach(({address, data}) => {
+            const last = runs[runs.length-1];
+
+            if(last !== undefined && last.address + last.data.byteLength == address){
+                const merged = new Uint8Array(last.data.byteLength + data.byteLength);
+                merged.set(last.data);
+                merged.set(data, last.data.byteLength);
+                last.data = merged;
+            }else{
+                runs.push({address, data});
+            }
+        });
+
+        const totalSize = runs.reduce((total, run) => total + run.data.byteLength, 0);
+        let doneSize    = 0;
+
+        for(const {address, data} of runs){
+            for(let offset=0; offset<data.byteLength; offset+=this.picoboot.sectorSize){
+                this.#progress("write", doneSize, totalSize);
+
+                const chunk = data.subarray(offset, offset+this.picoboot.sectorSize);
+                await this.picoboot.write(address+offset, chunk);
+                doneSize += chunk.byteLength;
+            }
+        }
+        this.#progress("write", totalSize, totalSize);
+
+        if(options.verify){
+            await this.#verify(runs);
+        }
+
+        if(options.execute === false){
+            return;
+        }
+
+        this.#progress("reboot");
+
+        const start = runs[0].address;
+        const end   = runs[runs.length-1].address + runs[runs.length-1].data.byteLength;
+
+        if(this.#isRP2350()){
+            // Bootrom searches the region for the image and launches it
+            await this.picoboot.reboot({type: "ram", address: start, size: end-start});
+        }else{
+            // A vector table at the start has the initial SP and then the reset handler (Thumb bit set)
+            const view = new DataView(runs[0].data.buffer, runs[0].data.byteOffset, runs[0].data.byteLength);
+            const initialSP = view.getUint32(0, true);
+            const reset     = view.getUint32(4, true);
+            const isVectorTable = initialSP > PICOBOOT_MEMORY_MAP.SRAM_START && initialSP <= sramEnd &&
+                                  (reset & 1) == 1 && reset > start && reset < end;
+
+            if(entry !== undefined){
+                await this.picoboot.reboot({type: "ram", pc: entry, sp: sramEnd});
+            }else if(isVectorTable){
+                await this.picoboot.reboot({type: "ram", pc: reset, sp: initialSP});
+            }else{
+                await this.picoboot.reboot({type: "ram", pc: start, sp: sramEnd});
+            }
+        }
+    }
+
+
+    // Reads device flash through PICOBOOT for `BinaryInfo`, whole sectors
+    // are read and kept so scattered small reads don't each cost a command
+    #flashReader(){
+        const sectorSize = this.picoboot.sectorSize;
+        let sectors = new Map();
+
+        return async (address, size) => {
+            if(address < PICOBOOT_MEMORY_MAP.FLASH_START || address + size > PICOBOOT_MEMORY_MAP.FLASH_START + PICOBOOT_MEMORY_MAP.FLASH_MAX_SIZE){
+                return null;
+            }
+
+            const data = new Uint8Array(size);
+            for(let offset=0; offset<size;){
+                const sector = Math.floor((address+offset)/sectorSize) * sectorSize;
+                if(!sectors.has(sector)){
+                    sectors.set(sector, await this.picoboot.flashRead(sector, sectorSize));
+                }
+
+                const start  = address + offset - sector;
+                const length = Math.min(size-offset, sectorSize-start);
+                data.set(sectors.get(sector).subarray(start, start+length), offset);
+                offset += length;
+            }
+
+            return data;
+        }
+    }
+
+
+    // https://github.com/raspberrypi/picotool?tab=readme-ov-file#info
+    // Decodes the binary info (program name, version, build date, URL, features, pins)
+    // of a UF2 or raw binary, or of the device's flash if `data` isn't given (like
+    // `picotool info -a`). Returns `null` if there's no binary info, see
+    // `BinaryInfo.decode()` for what's returned otherwise. Options:
+    // * address: Start of the image, defaults to the start of flash (lowest block address for UF2s)
+    // * chip:    "RP2040" or "RP2350" for naming pin functions of raw binaries, defaults to "RP2040"
+    // * signal:  `AbortSignal` to stop reading the device
+    async info(data=null, options={}){
+        if(data !== null){
+            const bytes = new Uint8Array(data);
+
+            if(UF2.isUF2(bytes)){
+                const uf2    = UF2.parse(bytes);
+                const blocks = uf2.flashBlocks();
+                const chip   = uf2.familyIds().some(familyId => familyId !== null && familyId != UF2_FAMILY_IDS.RP2040) ? "RP2350" : "RP2040";
+                const start  = options.address ?? Math.min(...blocks.map(block => block.address));
+
+                return await BinaryInfo.fromBlocks(blocks).decode(start, chip);
+            }
+
+            const address = options.address ?? PICOBOOT_MEMORY_MAP.FLASH_START;
+            return await BinaryInfo.fromBlocks([{address, data: bytes}]).decode(address, options.chip ?? "RP2040");
+        }
+
+        return await this.#run(options, null, () => this.#deviceInfo(options));
+    }
+
+
+    async #deviceInfo(options){
+        await this.#connect();
+
+        const info = await new BinaryInfo(this.#flashReader()).decode(options.address ?? PICOBOOT_MEMORY_MAP.FLASH_START, this.picoboot.chip());
+
+        // Give the mass storage interface back, device stays in BOOTSEL
+        await this.picoboot.exclusive(PICOBOOT_EXCLUSIVE_MODES.NOT_EXCLUSIVE);
+
+        return info;
+    }
+
+
+    // Compares two version strings (e.g. "1.2.10" and "v1.3") by major.minor.patch and then
+    // by pre-release tag, a pre-release is older than its release ("1.24.0-preview" <
+    // "1.24.0"). Anything after the tag is ignored, like the commit count and hash git
+    // describe adds ("v1.24.0-preview.123.g1234abc" is the same as "1.24.0-preview").
+    // Returns a negative number if `a` is older than `b`, positive if newer and 0 if they're
+    // the same, handy for warning before loading older firmware than what `info()` says is installed
+    static compareVersions(a, b){
+        const parse = (version) => {
+            const match = version.match(/(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([A-Za-z][0-9A-Za-z]*))?/);
+            return match === null ? {numbers: [0, 0, 0], tag: null}
+                                  : {numbers: match.slice(1, 4).map(part => Number(part ?? 0)), tag: match[4] ?? null};
+        }
+        const aVersion = parse(a);
+        const bVersion = parse(b);
+
+        for(let i=0; i<3; i++){
+            const difference = aVersion.numbers[i] - bVersion.numbers[i];
+            if(difference != 0){
+                return difference;
+            }
+        }
+
+        if(aVersion.tag == bVersion.tag){
+            return 0;
+        }else if(aVersion.tag === null || bVersion.tag === null){
+            return aVersion.tag === null ? 1 : -1;
+        }
+
+        return aVersion.tag < bVersion.tag ? -1 : 1;
+    }
+
+
+    // Combines copies of a redundant raw OTP row, a bit is set if it is set in at least `threshold` copies
+    #otpVote(rows, threshold){
+        let value = 0;
+
+        for(let bit=0; bit<24; bit++){
+            const votes = rows.filter(row => (row >> bit) & 1).length;
+            if(votes >= threshold){
+                value |= (1 << bit);
+            }
+        }
+
+        return value >>> 0;
+    }
+
+
+    // Connects and makes sure the device has OTP
+    async #connectOTP(){
+        await this.#connect();
+
+        if(!this.#isRP2350()){
+            throw new Error("picotool.js: ERROR: OTP is only available on RP2350");
+        }
+    }
+
+
+    // https://github.com/raspberrypi/picotool?tab=readme-ov-file#otp
+    // Reads OTP rows (like `picotool otp get`), RP2350 only. See `Picoboot.otpRead()`
+    async otpGet(row, count=1, {ecc=true}={}){
+        await this.#connectOTP();
+        return await this.picoboot.otpRead(row, count, {ecc});
+    }
+
+
+    // https://github.com/raspberrypi/picotool?tab=readme-ov-file#otp
+    // Writes OTP rows (like `picotool otp set`), RP2350 only. OTP is one time programmable
+    // so nothing is written unless `confirm` is `true`. Rows are read back afterwards
+    // and an error thrown if they don't match. See `Picoboot.otpWrite()`
+    async otpSet(row, values, {ecc=true, confirm=false}={}){
+        if(confirm !== true){
+            throw new Error("picotool.js: ERROR: OTP writes are irreversible, pass `confirm: true` to write " + values.length + " row(s) at 0x" + row.toString(16));
+        }
+
+        await this.#connectOTP();
+        await this.picoboot.otpWrite(row, values, {ecc});
+
+        const readBack = await this.picoboot.otpRead(row, values.length, {ecc});
+        const mismatch = values.findIndex((value, i) => value != readBack[i]);
+        if(mismatch != -1){
+            throw new Error("picotool.js: ERROR: OTP row 0x" + (row+mismatch).toString(16) + " reads back as 0x" + readBack[mismatch].toString(16) +
+                            " instead of 0x" + values[mismatch].toString(16));
+        }
+    }
+
+
+    // Reads and decodes the well known OTP rows (see `OTP_ROWS`), RP2350 only. Returns:
+    // * chipId, randomId: Hex strings
+    // * numGpios
+    // * critical:         Decoded CRIT1 flags (secure boot, debug, boot architecture)
+    // * bootFlags0, bootFlags1: Raw values
+    // * bootKeys:         Hex strings of the four boot key hashes (`null` for unprogrammed keys)
+    async otpInfo(){
+        await this.#connectOTP();
+
+        const hex = (rows) => Array.from(rows).reverse().map(row => row.toString(16).padStart(4, "0")).join("");
+
+        const chipId   = await this.picoboot.otpRead(OTP_ROWS.CHIPID0, 4);
+        const randomId = await this.picoboot.otpRead(OTP_ROWS.RANDID0, 8);
+        const numGpios = await this.picoboot.otpRead(OTP_ROWS.NUM_GPIOS, 1);
+        const crit1    = this.#otpVote(Array.from(await this.picoboot.otpRead(OTP_ROWS.CRIT1, 8, {ecc: false})), 3);
+        const flags0   = this.#otpVote(Array.from(await this.picoboot.otpRead(OTP_ROWS.BOOT_FLAGS0, 3, {ecc: false})), 2);
+        const flags1   = this.#otpVote(Array.from(await this.picoboot.otpRead(OTP_ROWS.BOOT_FLAGS1, 3, {ecc: false})), 2);
+
+        let bootKeys = [];
+        for(let key=0; key<4; key++){
+            const rows = await this.picoboot.otpRead(OTP_ROWS.BOOTKEY0_0 + key*16, 16);
+
+            // Key hashes are stored least significant row first, print them in byte order
+            bootKeys.push(rows.every(row => row == 0) ? null :
+                          Array.from(rows).map(row => (row & 0xff).toString(16).padStart(2, "0") + (row >> 8).toString(16).padStart(2, "0")).join(""));
+        }
+
+        return {
+            chipId:     hex(chipId),
+            randomId:   hex(randomId),
+            numGpios:   numGpios[0],
+            critical: {
+                secureBootEnable:     (crit1 & 0x01) != 0,
+                secureDebugDisable:   (crit1 & 0x02) != 0,
+                debugDisable:         (crit1 & 0x04) != 0,
+                bootArch:             (crit1 & 0x08) ? "riscv" : "arm",
+                glitchDetectorEnable: (crit1 & 0x10) != 0,
+                glitchDetectorSens:   (crit1 >> 5) & 0x3
+            },
+            bootFlags0: flags0,
+            bootFlags1: flags1,
+            bootKeys
+        };
     }
-}
\ No newline at end of file
+}
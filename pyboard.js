@@ -1,5 +1,1243 @@
-class Pyboard{
+// https://github.com/micropython/micropython/blob/master/tools/pyboard.py
+// https://docs.micropython.org/en/latest/reference/repl.html#raw-mode-and-raw-paste-mode
+// This module implements the raw REPL parts of pyboard.py on top of `serial.js`
+// for running code on MicroPython devices from the browser, plus an interactive
+// friendly REPL session for terminals (`Pyboard.repl()`)
+
+
+// Thrown when the device doesn't respond the way the raw REPL protocol expects,
+// or (as `PyboardException`, from `eval()` and the filesystem functions) when the code
+// raised an exception on the device. `errno` is set for `OSError`s (e.g. 2 for ENOENT),
+// otherwise `null`
+export class PyboardError extends Error{
+    constructor(message, errno=null){
+        super(message);
+        this.name = new.target.name;
+        this.errno = errno;
+    }
+}
+
+
+// Thrown when the device doesn't respond in time, or an operation runs for longer than
+// `Pyboard.timeout`. The device is interrupted and the raw REPL re-synced before the next
+// queued operation runs
+export class PyboardTimeoutError extends PyboardError{}
+
+
+// Parses a MicroPython traceback (what code that raised prints to stderr) into
+// `{type, message, frames}`. `frames` are `{file, line, function}` from the outermost
+// call to where it was raised, e.g. `{file: "main.py", line: 10, function: "<module>"}`.
+// Returns `null` if `text` doesn't end with an exception
+export function parseTraceback(text){
+    const lines = text.replace(/\r/g, "").split("\n");
+
+    // Only the last traceback counts if there's more than one
+    const start = lines.findLastIndex(line => line.startsWith("Traceback (most recent call last)")) + 1;
+
+    let frames    = [];
+    let exception = [];
+    for(const line of lines.slice(start)){
+        const frame = line.match(/^\s*File "(.*)", line (\d+)(?:, in (.*))?$/);
+
+        if(frame !== null && exception.length == 0){
+            frames.push({file: frame[1], line: parseInt(frame[2]), function: frame[3] ?? null});
+        }else if(line.trim().length > 0){
+            exception.push(line);
+        }
+    }
+
+    // "Type: message", messages can span several lines
+    const match = exception.join("\n").match(/^([A-Za-z_][\w.]*)(?:: ?([\s\S]*))?$/);
+    if(match === null){
+        return null;
+    }
+
+    return {type: match[1], message: match[2] ?? "", frames};
+}
+
+
+// Thrown when code raised an exception on the device, the traceback is parsed (see
+// `parseTraceback()`) into `type`, `value` (the exception's message) and `frames`.
+// `traceback` is the text as the device printed it
+export class PyboardException extends PyboardError{
+    constructor(message, traceback){
+        const parsed = parseTraceback(traceback);
+        const errno  = traceback.match(/OSError: \[Errno (\d+)\]/);
+
+        super(message, errno === null ? null : parseInt(errno[1]));
+        this.type      = parsed?.type ?? null;
+        this.value     = parsed?.message ?? null;
+        this.frames    = parsed?.frames ?? [];
+        this.traceback = traceback;
+    }
+}
+
+
+function sleep(ms){
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+
+// Quotes a string as a Python string literal (JSON string escapes are valid Python)
+function pyString(string){
+    return JSON.stringify(string);
+}
+
+
+// Joins device paths with a single "/" between them
+function joinPath(dir, name){
+    return dir.replace(/\/+$/, "") + "/" + name.replace(/^\/+/, "");
+}
+
+
+// Converts strings (UTF-8) and buffers to `Uint8Array`
+function toBytes(data){
+    return typeof data == "string" ? new TextEncoder().encode(data) : new Uint8Array(data);
+}
+
+
+// Hex SHA-256 of some bytes
+async function sha256(bytes){
+    const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", bytes));
+    return Array.from(digest, byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+
+// Reads a `FileSystemDirectoryHandle` (recursively) or an object/`Map` of
+// paths to contents into an object of relative paths to `Uint8Array`s
+async function readLocalTree(tree){
+    let files = {};
+
+    if(tree.kind == "directory"){
+        const walk = async (handle, relative) => {
+            for await (const entry of handle.values()){
+                if(entry.kind == "directory"){
+                    await walk(entry, relative + entry.name + "/");
+                }else{
+                    files[relative + entry.name] = new Uint8Array(await (await entry.getFile()).arrayBuffer());
+                }
+            }
+        }
+
+        await walk(tree, "");
+    }else{
+        const entries = tree instanceof Map ? tree.entries() : Object.entries(tree);
+
+        for(const [path, data] of entries){
+            files[path.replace(/^\/+/, "")] = toBytes(data);
+        }
+    }
+
+    return files;
+}
+
+
+function toBase64(bytes){
+    let binary = "";
+    bytes.forEach(byte => binary += String.fromCharCode(byte));
+    return btoa(binary);
+}
+
+
+function fromBase64(base64){
+    return Uint8Array.from(atob(base64), character => character.charCodeAt(0));
+}
+
+
+// Escape sequences terminals send for arrow/function keys, passed to the device as is
+const ESCAPE_SEQUENCE = /\x1b(\[[0-9;]*[@-~]|O[@-~])/g;
+
+
+// https://docs.micropython.org/en/latest/reference/repl.html
+// Interactive session with the friendly REPL for a terminal, see `Pyboard.repl()`. Keystrokes
+// are forwarded as typed, the device echoes them and does the line editing. The lines typed
+// are also kept in `history` (`historyPrevious()`/`historyNext()` put them back on the line,
+// arrow keys use the device's own history instead).
+//
+// Raw REPL operations (e.g. `Pyboard.put()`) need the serial port to themselves, so the
+// `Pyboard` suspends started sessions while each of its operations runs and streaming only
+// carries on once the board is back in the friendly REPL (e.g. after `exitRawRepl()`).
+// Output received before an operation is streamed first, keystrokes typed during it are
+// sent afterwards. `run()` also takes care of going back to the friendly REPL.
+//
+// Events (dispatched on the `ReplSession` instance):
+// * "output": `event.detail` is the text the device printed
+export class ReplSession extends EventTarget{
+    #decoder      = new TextDecoder();
+    #suspended    = 0;      // Number of `suspend()` calls not resumed yet
+    #pending      = [];     // Keystrokes typed while suspended
+    #line         = "";     // What has been typed on the current line so far
+    #draft        = "";     // Line being typed before browsing history
+    #historyIndex = null;   // Index in `history` being shown, `null` when not browsing
+
+    // `historySize` is the most lines kept in `history`
+    constructor(pyboard, historySize=100){
+        super();
+
+        this.pyboard     = pyboard;
+        this.serial      = pyboard.serial;
+        this.history     = [];
+        this.historySize = historySize;
+    }
+
+
+    // Returns if output is streamed and keystrokes sent straight away, not while an
+    // operation has the port (including ones that started before this session did)
+    // or the board was left in the raw REPL
+    #streaming(){
+        return this.#suspended == 0 && !this.pyboard.busy && !this.pyboard.inRawRepl;
+    }
+
+
+    // Fired by `Serial` for every chunk of received data
+    #onData = () => {
+        if(this.#streaming()){
+            this.#emit();
+        }
+    }
+
+
+    // Streams everything in the receive buffer as an "output" event. Decoding as a
+    // stream keeps UTF-8 characters split across chunks together
+    #emit(){
+        if(this.serial.available() == 0){
+            return;
+        }
+
+        const text = this.#decoder.decode(this.serial.flush(), {stream: true});
+        if(text.length > 0){
+            this.dispatchEvent(new CustomEvent("output", {detail: text}));
+        }
+    }
+
+
+    // Keeps track of the line being typed so it can be added to the history
+    #track(keys){
+        for(const key of keys.replace(ESCAPE_SEQUENCE, "")){
+            if(key == "\r" || key == "\n"){
+                if(this.#line.trim().length > 0 && this.#line != this.history[this.history.length-1]){
+                    this.history.push(this.#line);
+                    this.history.splice(0, this.history.length - this.historySize);
+                }
+                this.#line = "";
+                this.#historyIndex = null;
+            }else if(key == "\x7f" || key == "\b"){
+                this.#line = this.#line.slice(0, -1);
+            }else if(key < " "){
+                // Ctrl-C and friends throw the line away
+                this.#line = "";
+                this.#historyIndex = null;
+            }else{
+                this.#line += key;
+            }
+        }
+    }
+
+
+    // Starts streaming output, anything already received is streamed straight away
+    start(){
+        this.pyboard.sessions.add(this);
+        this.serial.addEventListener("data", this.#onData);
+
+        if(this.#streaming()){
+            this.#emit();
+        }
+    }
+
+
+    // Stops streaming output
+    stop(){
+        this.pyboard.sessions.delete(this);
+        this.serial.removeEventListener("data", this.#onData);
+    }
+
+
+    // Sends keys, or holds them back until streaming carries on. `track` is
+    // if they're typed keys that should count towards the history
+    async #send(keys, track){
+        if(!this.#streaming()){
+            this.#pending.push({keys, track});
+            return;
+        }
+
+        if(track){
+            this.#track(keys);
+        }
+        await this.serial.write(keys);
+    }
+
+
+    // Forwards keystrokes (e.g. "a", "\r" for enter, "\x7f" for backspace or escape
+    // sequences for arrow keys). While suspended they're held back until `resume()`
+    async write(keys){
+        await this.#send(keys, true);
+    }
+
+
+    // Types a whole line and presses enter
+    async sendLine(line){
+        await this.write(line + "\r");
+    }
+
+
+    // Ctrl-C: interrupts the running program
+    async interrupt(){
+        await this.write("\x03");
+    }
+
+
+    // Ctrl-D: soft resets the device
+    async softReset(){
+        await this.write("\x04");
+    }
+
+
+    // Ctrl-E: sends `code` in paste mode so it is run as a whole, without auto-indent.
+    // Paste mode ends with Ctrl-D which runs the code
+    async paste(code){
+        // Pasted lines don't go in the history
+        await this.#send("\x05", true);
+        await this.#send(code + "\x04", false);
+    }
+
+
+    // Replaces what's on the current line with `text` by sending backspaces
+    async #replaceLine(text){
+        await this.write("\x7f".repeat(this.#line.length) + text);
+        return text;
+    }
+
+
+    // Puts the previous line from `history` on the current line, returns it (or
+    // `null` if there's no history)
+    async historyPrevious(){
+        if(this.history.length == 0){
+            return null;
+        }
+
+        if(this.#historyIndex === null){
+            this.#draft = this.#line;
+            this.#historyIndex = this.history.length;
+        }
+
+        this.#historyIndex = Math.max(0, this.#historyIndex - 1);
+        return await this.#replaceLine(this.history[this.#historyIndex]);
+    }
+
+
+    // Puts the next line from `history` on the current line, or what was being typed
+    // before browsing once past the newest. Returns the line, `null` if not browsing
+    async historyNext(){
+        if(this.#historyIndex === null){
+            return null;
+        }
+
+        this.#historyIndex += 1;
+        if(this.#historyIndex >= this.history.length){
+            this.#historyIndex = null;
+            return await this.#replaceLine(this.#draft);
+        }
+
+        return await this.#replaceLine(this.history[this.#historyIndex]);
+    }
+
+
+    // Hands the serial port over to raw REPL operations, output received so far is streamed
+    // first. Can be nested, streaming only carries on after the matching number of `resume()`s
+    suspend(){
+        if(this.#streaming()){
+            this.#emit();
+        }
+        this.#suspended += 1;
+    }
+
+
+    // Sends keystrokes typed while suspended and carries on streaming. Goes back to the
+    // friendly REPL first if an operation left the board in the raw REPL, unless `exitRawRepl`
+    // is `false` (how `Pyboard` resumes sessions after each operation, from inside its queue).
+    // Sessions that weren't suspended just catch up on what they held back
+    async resume(exitRawRepl=true){
+        if(this.#suspended > 0){
+            this.#suspended -= 1;
+        }
+
+        if(this.#suspended > 0){
+            return;
+        }
+
+        if(this.pyboard.inRawRepl && exitRawRepl){
+            await this.pyboard.exitRawRepl();
+        }
+
+        if(!this.#streaming()){
+            return;
+        }
+
+        const pending = this.#pending;
+        this.#pending = [];
+        for(const {keys, track} of pending){
+            await this.#send(keys, track);
+        }
+
+        this.#emit();
+    }
+
+
+    // Suspends the session, runs `operation(pyboard)` and resumes, returns what `operation` returns
+    async run(operation){
+        this.suspend();
+
+        try{
+            return await operation(this.pyboard);
+        }finally{
+            await this.resume();
+        }
+    }
+}
+
+
+// Every public method is queued so components sharing a board don't interleave on the serial
+// port, they run one at a time in the order they were called. Operations are stopped by their
+// timeouts or `abort()`, which interrupts the device with Ctrl-C, throws away its output and
+// gets back to the raw REPL prompt before the next operation runs. Started `ReplSession`s are
+// suspended while each operation runs. Callbacks (e.g. `progressCB`) run inside the operation
+// and must not wait on other `Pyboard` calls
+export default class Pyboard{
+    #queue      = Promise.resolve();    // Resolves once the last queued operation is done
+    #controller = null;                 // `AbortController` of the running operation
+    #signal     = null;                 // Its signal, passed to every serial read
+
     constructor(serial){
         this.serial = serial;
+        this.inRawRepl = false;
+        this.useRawPaste = true;    // Cleared if the device turns out not to support raw-paste mode
+        this.chunkSize = 512;       // Bytes per exec when transferring files
+        this.timeout = Infinity;    // Longest any queued operation may take (ms)
+        this.sessions = new Set();  // Started `ReplSession`s, suspended while each operation runs
+        this.busy = false;          // If an operation is running
+    }
+
+
+    // Runs `operation` once everything queued before it is done
+    #enqueue(operation){
+        const result = this.#queue.then(() => this.#runOperation(operation));
+        this.#queue  = result.catch(() => {});
+
+        return result;
+    }
+
+
+    async #runOperation(operation){
+        const sessions = [...this.sessions];
+        sessions.forEach(session => session.suspend());
+        this.busy = true;
+
+        const controller = new AbortController();
+        this.#controller = controller;
+        this.#signal     = controller.signal;
+
+        const timer = this.timeout === Infinity ? null : setTimeout(() => {
+            controller.abort(new PyboardTimeoutError("pyboard.js: ERROR: Operation took longer than " + this.timeout + "ms"));
+        }, this.timeout);
+
+        try{
+            return await operation();
+        }catch(error){
+            // Whatever was running on the device may still be running
+            if(controller.signal.aborted || error instanceof PyboardTimeoutError){
+                this.#signal = null;
+                await this.#recover();
+            }
+
+            throw controller.signal.aborted ? controller.signal.reason : error;
+        }finally{
+            clearTimeout(timer);
+            this.#controller = null;
+            this.#signal     = null;
+
+            this.busy = false;
+
+            // Sessions started during the operation catch up too. Keystrokes that can't be
+            // sent any more (e.g. the port went away) don't fail the operation
+            for(const session of new Set([...sessions, ...this.sessions])){
+                await session.resume(false).catch(() => {});
+            }
+        }
+    }
+
+
+    // Interrupts the device, drains its output and re-syncs to the raw REPL prompt (if it was in it)
+    async #recover(){
+        try{
+            await this.serial.write("\r\x03\x03");   // ctrl-C twice: interrupt, even code that catches the first one
+
+            // Throw output away until the device goes quiet
+            const deadline = Date.now() + 2000;
+            while(Date.now() < deadline){
+                try{
+                    await this.serial.read(1, 200);
+                }catch(error){
+                    if(error.data === undefined){
+                        throw error;
+                    }
+                    break;
+                }
+                this.serial.flush();
+            }
+
+            if(this.inRawRepl){
+                // ctrl-A: prints the raw REPL banner again, the prompt after it is left for the next operation
+                await this.serial.write("\r\x01");
+                await this.#readUntil("raw REPL; CTRL-B to exit\r\n", 1000, "Could not re-sync to the raw REPL");
+            }
+        }catch(error){
+            this.inRawRepl = false;
+            throw new PyboardError("pyboard.js: ERROR: Could not recover after stopping an operation: " + error.message);
+        }
+    }
+
+
+    // Stops the running operation: it rejects with `reason` (an "AbortError" by default)
+    // once the device has been interrupted and re-synced. Queued operations carry on after
+    abort(reason){
+        this.#controller?.abort(reason);
+    }
+
+
+    // Writes to the device unless the running operation was stopped
+    async #write(data){
+        this.#signal?.throwIfAborted();
+        await this.serial.write(data);
+    }
+
+
+    // Reads `size` bytes, throws `PyboardTimeoutError` with `message` on timeout
+    async #read(size, timeout, message){
+        try{
+            return await this.serial.read(size, timeout, this.#signal);
+        }catch(error){
+            if(error.data === undefined){
+                throw error;
+            }
+
+            throw new PyboardTimeoutError("pyboard.js: ERROR: " + message + " (received " + JSON.stringify(new TextDecoder().decode(error.data)) + ")");
+        }
+    }
+
+
+    // Starts an interactive session with the friendly REPL for a terminal, see `ReplSession`.
+    // `historySize` is the most lines it keeps in its history
+    repl(historySize=100){
+        const session = new ReplSession(this, historySize);
+        session.start();
+
+        return session;
+    }
+
+
+    // Reads until `ending` and returns it decoded, throws `PyboardTimeoutError` with `message` on timeout
+    async #readUntil(ending, timeout, message){
+        try{
+            return new TextDecoder().decode(await this.serial.readUntil(ending, timeout, this.#signal));
+        }catch(error){
+            if(error.data === undefined){
+                throw error;
+            }
+
+            throw new PyboardTimeoutError("pyboard.js: ERROR: " + message + " (received " + JSON.stringify(new TextDecoder().decode(error.data)) + ")");
+        }
+    }
+
+
+    // Interrupts whatever is running and enters the raw REPL, soft resetting the
+    // device first by default so the code runs with a clean state
+    async enterRawRepl(softReset=true){
+        return await this.#enqueue(() => this.#enterRawRepl(softReset));
+    }
+
+
+    async #enterRawRepl(softReset){
+        await this.#write("\r\x03");  // ctrl-C: interrupt any running program
+
+        // Give the device a moment to print whatever it was printing
+        // when it got interrupted and throw it all away
+        await sleep(100);
+        this.serial.flush();
+
+        await this.#write("\r\x01");  // ctrl-A: enter raw REPL
+
+        if(softReset){
+            await this.#readUntil("raw REPL; CTRL-B to exit\r\n>", 1000, "Could not enter raw REPL");
+
+            // ctrl-D: soft reset, device comes back in the raw REPL
+            await this.#write("\x04");
+            await this.#readUntil("soft reboot\r\n", 1000, "Could not soft reset");
+        }
+
+        await this.#readUntil("raw REPL; CTRL-B to exit\r\n", 10000, "Could not enter raw REPL");
+
+        this.inRawRepl = true;
+    }
+
+
+    // Goes back to the friendly REPL
+    async exitRawRepl(){
+        return await this.#enqueue(() => this.#exitRawRepl());
+    }
+
+
+    async #exitRawRepl(){
+        this.serial.flush();            // Raw REPL prompt left by the last operation
+        await this.#write("\r\x02");  // ctrl-B: enter friendly REPL
+        this.inRawRepl = false;
+    }
+
+
+    // Waits for the output of the code that was just sent, stdout and stderr
+    // are each terminated by 0x04. Returns both as strings
+    async follow(timeout=10000){
+        return await this.#enqueue(() => this.#follow(timeout));
+    }
+
+
+    async #follow(timeout){
+        const stdout = await this.#readUntil("\x04", timeout, "Timeout waiting for first EOF reception");
+        const stderr = await this.#readUntil("\x04", timeout, "Timeout waiting for second EOF reception");
+
+        return {stdout: stdout.slice(0, -1), stderr: stderr.slice(0, -1)};
+    }
+
+
+    // https://docs.micropython.org/en/latest/reference/repl.html#raw-mode-and-raw-paste-mode
+    // Sends the code with raw-paste flow control: the device gives a window size and
+    // sends 0x01 each time there's room for another window, or 0x04 to end early
+    async #rawPasteWrite(commandBytes){
+        const header = await this.#read(2, 1000, "No raw-paste window size");
+        const windowSizeIncrement = header[0] | (header[1] << 8);
+        let windowRemain = windowSizeIncrement;
+
+        let i = 0;
+        while(i < commandBytes.byteLength){
+            // Handle flow control bytes, block if the window is used up
+            while(windowRemain == 0 || this.serial.available() > 0){
+                const data = await this.#read(1, 10000, "Timeout waiting for raw-paste flow control");
+
+                if(data[0] == 0x01){
+                    windowRemain += windowSizeIncrement;
+                }else if(data[0] == 0x04){
+                    // Device wants to end the data reception
+                    await this.#write("\x04");
+                    return;
+                }else{
+                    throw new PyboardError("pyboard.js: ERROR: Unexpected read during raw paste: " + JSON.stringify(String.fromCharCode(data[0])));
+                }
+            }
+
+            const chunk = commandBytes.subarray(i, Math.min(i + windowRemain, commandBytes.byteLength));
+            await this.#write(chunk);
+            windowRemain -= chunk.byteLength;
+            i += chunk.byteLength;
+        }
+
+        // Indicate end of data and wait for the device to acknowledge it
+        await this.#write("\x04");
+        await this.#readUntil("\x04", 1000, "Could not complete raw paste");
+    }
+
+
+    // Sends the code to run without waiting for its output, `follow()` gets that
+    async execRawNoFollow(command){
+        return await this.#enqueue(() => this.#execRawNoFollow(command));
+    }
+
+
+    async #execRawNoFollow(command){
+        const commandBytes = new TextEncoder().encode(command);
+
+        // Check we have a prompt
+        await this.#readUntil(">", 1000, "Could not enter raw REPL");
+
+        if(this.useRawPaste){
+            // Try to enter raw-paste mode
+            await this.#write("\x05A\x01");
+            const response = new TextDecoder().decode(await this.#read(2, 1000, "No response to raw-paste request"));
+
+            if(response == "R\x01"){
+                // Device supports raw-paste mode
+                await this.#rawPasteWrite(commandBytes);
+                return;
+            }else if(response != "R\x00"){
+                // Device doesn't know about raw-paste mode and treated the request as code,
+                // wait for it to finish complaining and fall back to the normal raw REPL
+                await this.#readUntil("w REPL; CTRL-B to exit\r\n>", 1000, "Could not enter raw REPL");
+            }
+
+            // Either way raw-paste mode isn't available, don't try it again
+            this.useRawPaste = false;
+        }
+
+        // Write command using standard raw REPL, 256 bytes every 10ms
+        for(let i=0; i<commandBytes.byteLength; i+=256){
+            await this.#write(commandBytes.subarray(i, i+256));
+            await sleep(10);
+        }
+        await this.#write("\x04");
+
+        // Check if we could exec command
+        const response = new TextDecoder().decode(await this.#read(2, 1000, "No response to exec"));
+        if(response != "OK"){
+            throw new PyboardError("pyboard.js: ERROR: Could not exec command (response: " + JSON.stringify(response) + ")");
+        }
+    }
+
+
+    // Reads stdout or stderr of the running code up to its terminating 0x04, passing the text
+    // to `onData` as it arrives. Stops at the 0x04 so whatever follows stays in the buffer
+    async #followStream(onData, deadline, description){
+        const decoder = new TextDecoder();
+        let text = "";
+
+        while(true){
+            // Everything that's there up to the end, or wait for at least one byte
+            const end  = this.serial.buffer.indexOf(0x04);
+            const size = end != -1 ? end + 1 : Math.max(1, this.serial.available());
+
+            let bytes = null;
+            try{
+                bytes = await this.serial.read(size, Math.max(0, deadline - Date.now()), this.#signal);
+            }catch(error){
+                if(error.data === undefined){
+                    throw error;
+                }
+
+                throw new PyboardTimeoutError("pyboard.js: ERROR: Timeout waiting for the end of " + description + " (received " + JSON.stringify(text) + ")");
+            }
+
+            const done  = bytes[bytes.byteLength-1] == 0x04;
+            const chunk = decoder.decode(done ? bytes.subarray(0, -1) : bytes, {stream: !done});
+            if(chunk.length > 0){
+                text += chunk;
+                if(onData) onData(chunk);
+            }
+
+            if(done){
+                return text;
+            }
+        }
+    }
+
+
+    // Runs code in the raw REPL (must have called `enterRawRepl()` first) with its output
+    // streamed as it is printed, instead of all at once at the end like `exec()`. Options:
+    // * onStdout, onStderr: Called with each piece of text printed
+    // * timeout:            ms the code may run for, defaults to `Infinity`
+    // Returns `{stdout, stderr, exception}`, `exception` is the `PyboardException` for the
+    // traceback if the code raised (not thrown so the output can still be used), otherwise `null`
+    async run(code, options={}){
+        return await this.#enqueue(() => this.#run(code, options));
+    }
+
+
+    async #run(code, options){
+        const deadline = Date.now() + (options.timeout ?? Infinity);
+
+        await this.#execRawNoFollow(code);
+        const stdout = await this.#followStream(options.onStdout, deadline, "stdout");
+        const stderr = await this.#followStream(options.onStderr, deadline, "stderr");
+
+        const exception = stderr.length > 0 ? new PyboardException("pyboard.js: ERROR: Code raised an exception: " + stderr.trim().split("\n").pop().trim(), stderr) : null;
+
+        return {stdout, stderr, exception};
+    }
+
+
+    // Runs code in the raw REPL (must have called `enterRawRepl()` first) and
+    // returns what it printed to stdout and stderr as `{stdout, stderr}`.
+    // `stderr` holds the traceback if the code raised an exception
+    async exec(command, timeout=10000){
+        return await this.#enqueue(() => this.#exec(command, timeout));
+    }
+
+
+    async #exec(command, timeout=10000){
+        await this.#execRawNoFollow(command);
+        return await this.#follow(timeout);
+    }
+
+
+    // Evaluates a Python expression and returns what it prints as
+    // (e.g. "3" for "1+2"), throws `PyboardError` if it raised
+    async eval(expression, timeout=10000){
+        return await this.#enqueue(() => this.#eval(expression, timeout));
+    }
+
+
+    async #eval(expression, timeout){
+        const {stdout, stderr} = await this.#exec("print(" + expression + ")", timeout);
+
+        if(stderr.length > 0){
+            throw new PyboardException("pyboard.js: ERROR: Exception evaluating " + JSON.stringify(expression) + ": " + stderr.trim(), stderr);
+        }
+
+        return stdout.trim();
+    }
+
+
+    // Runs code and returns its stdout, throws `PyboardError` (with the
+    // last line of the traceback) if it raised an exception
+    async #execChecked(command, description){
+        const {stdout, stderr} = await this.#exec(command);
+
+        if(stderr.length > 0){
+            const lines = stderr.trim().split("\n");
+            throw new PyboardException("pyboard.js: ERROR: " + description + " failed: " + lines[lines.length-1].trim(), stderr);
+        }
+
+        return stdout;
+    }
+
+
+    // https://docs.micropython.org/en/latest/library/sys.html#sys.implementation
+    // Describes the running board and firmware (needs the raw REPL, call `enterRawRepl()` first):
+    // * implementation: `{name, version, machine, mpy}` from `sys.implementation` (e.g. "micropython", "1.24.0")
+    // * pythonVersion:  `sys.version`, the Python language version
+    // * uname:          `{sysname, nodename, release, version, machine}` from `os.uname()`
+    // * uniqueId:       `machine.unique_id()` in upper case hex (also the board's USB serial number)
+    // * cpuFrequency:   `machine.freq()` in Hz
+    // * heap:           `{free, allocated}` bytes from `gc` after collecting
+    // * filesystem:     `{total, free}` bytes of the filesystem at "/" from `os.statvfs()`, `null` if there isn't one
+    // * modules:        `{builtin, installed}` module names, `builtin` are the built-in and frozen ones
+    //                   (`help("modules")`), `installed` are the ones in the `sys.path` directories (e.g. /lib)
+    async deviceInfo(){
+        return await this.#enqueue(() => this.#deviceInfo());
+    }
+
+
+    async #deviceInfo(){
+        const stdout = await this.#execChecked(
+            "import sys,os,gc,json,machine,binascii\n" +
+            "i=sys.implementation\n" +
+            "gc.collect()\n" +
+            "try:\n" +
+            " s=os.statvfs('/')\n" +
+            " f=[s[1]*s[2],s[1]*s[4]]\n" +
+            "except OSError:\n" +
+            " f=None\n" +
+            "m=[]\n" +
+            "for p in sys.path:\n" +
+            " if p[:1]!='/':continue\n" +
+            " try:\n" +
+            "  for n in os.listdir(p):\n" +
+            "   if n.endswith('.py') or n.endswith('.mpy'):n=n[:n.rfind('.')]\n" +
+            "   elif not os.stat(p+'/'+n)[0]&0x4000:continue\n" +
+            "   m.append(n)\n" +
+            " except OSError:pass\n" +
+            "print(json.dumps([i.name,list(i.version),getattr(i,'_machine',None),getattr(i,'_mpy',None),sys.version,list(os.uname())," +
+            "binascii.hexlify(machine.unique_id()).decode().upper(),machine.freq(),gc.mem_free(),gc.mem_alloc(),f,m]))\n" +
+            "help('modules')",
+            "deviceInfo"
+        );
+
+        // First line is the JSON, then `help("modules")` prints the names in columns
+        const newline = stdout.indexOf("\n");
+        const [name, version, machine, mpy, pythonVersion, uname, uniqueId, cpuFrequency, free, allocated, filesystem, installed] = JSON.parse(stdout.slice(0, newline));
+        const listing = stdout.slice(newline+1).split("Plus any modules on the filesystem")[0];
+        const builtin = listing.split(/\s+/).filter(module => module.length > 0).map(module => module.replace(/\/__init__$/, "").replace(/\//g, "."));
+
+        return {
+            implementation: {name, version: version.slice(0, 3).join(".") + (version[3] ? "-" + version[3] : ""), machine, mpy},
+            pythonVersion,
+            uname:          {sysname: uname[0], nodename: uname[1], release: uname[2], version: uname[3], machine: uname[4]},
+            uniqueId,
+            cpuFrequency,
+            heap:           {free, allocated},
+            filesystem:     filesystem === null ? null : {total: filesystem[0], free: filesystem[1]},
+            modules:        {builtin: [...new Set(builtin)].sort(), installed: [...new Set(installed)].sort()}
+        };
+    }
+
+
+    // https://docs.micropython.org/en/latest/reference/mpremote.html#mpremote-command-fs
+    // The filesystem functions below all need the raw REPL (call `enterRawRepl()` first)
+
+
+    // Lists a directory, returns a list of `{name, isDir, size}`
+    async ls(path="/"){
+        return await this.#enqueue(() => this.#ls(path));
+    }
+
+
+    async #ls(path){
+        const stdout = await this.#execChecked(
+            "import os,json\n" +
+            "print(json.dumps([(f[0],f[1],f[3] if len(f)>3 else 0) for f in os.ilistdir(" + pyString(path) + ")]))",
+            "ls " + path
+        );
+
+        return JSON.parse(stdout).map(([name, type, size]) => ({name, isDir: (type & 0x4000) != 0, size}));
+    }
+
+
+    // Returns `{mode, isDir, size, mtime}` for a file or directory
+    async stat(path){
+        return await this.#enqueue(() => this.#stat(path));
+    }
+
+
+    async #stat(path){
+        const stdout = await this.#execChecked(
+            "import os,json\n" +
+            "print(json.dumps(os.stat(" + pyString(path) + ")))",
+            "stat " + path
+        );
+
+        const stat = JSON.parse(stdout);
+        return {mode: stat[0], isDir: (stat[0] & 0x4000) != 0, size: stat[6], mtime: stat[8]};
+    }
+
+
+    // Returns `true` if the file or directory exists
+    async exists(path){
+        return await this.#enqueue(() => this.#exists(path));
+    }
+
+
+    async #exists(path){
+        try{
+            await this.#stat(path);
+            return true;
+        }catch(error){
+            if(error.errno == 2){   // ENOENT
+                return false;
+            }
+
+            throw error;
+        }
+    }
+
+
+    // Reads a file and returns its contents as a `Uint8Array`. Transferred in
+    // base64 chunks that are each checked for length. `progressCB` gets 0 to 1
+    async get(path, progressCB){
+        return await this.#enqueue(() => this.#get(path, progressCB));
+    }
+
+
+    async #get(path, progressCB){
+        const {size} = await this.#stat(path);
+        const data   = new Uint8Array(size);
+
+        await this.#execChecked("from binascii import b2a_base64\nf=open(" + pyString(path) + ",'rb')", "get " + path);
+
+        try{
+            for(let offset=0; offset<size; offset+=this.chunkSize){
+                const expected = Math.min(this.chunkSize, size-offset);
+                const chunk    = fromBase64((await this.#execChecked("print(b2a_base64(f.read(" + expected + ")).decode(),end='')", "get " + path)).trim());
+
+                if(chunk.byteLength != expected){
+                    throw new PyboardError("pyboard.js: ERROR: get " + path + " failed: expected " + expected + " bytes at offset " + offset + ", got " + chunk.byteLength);
+                }
+
+                data.set(chunk, offset);
+
+                if(progressCB) progressCB((offset+expected)/size);
+            }
+        }finally{
+            await this.#execChecked("f.close()", "get " + path);
+        }
+
+        return data;
+    }
+
+
+    // Reads a file and returns its contents as a string (UTF-8)
+    async cat(path){
+        return await this.#enqueue(() => this.#cat(path));
+    }
+
+
+    async #cat(path){
+        return new TextDecoder().decode(await this.#get(path));
+    }
+
+
+    // Writes `data` (string or bytes) to a file, replacing it if it exists. Transferred
+    // in base64 chunks, the device reports how much of each it wrote. `progressCB` gets 0 to 1
+    async put(path, data, progressCB){
+        return await this.#enqueue(() => this.#put(path, data, progressCB));
+    }
+
+
+    async #put(path, data, progressCB){
+        const bytes = toBytes(data);
+
+        await this.#execChecked("from binascii import a2b_base64\nf=open(" + pyString(path) + ",'wb')", "put " + path);
+
+        try{
+            for(let offset=0; offset<bytes.byteLength; offset+=this.chunkSize){
+                const chunk   = bytes.subarray(offset, offset+this.chunkSize);
+                const written = parseInt(await this.#execChecked("print(f.write(a2b_base64(" + pyString(toBase64(chunk)) + ")))", "put " + path));
+
+                if(written != chunk.byteLength){
+                    throw new PyboardError("pyboard.js: ERROR: put " + path + " failed: wrote " + written + " of " + chunk.byteLength + " bytes at offset " + offset);
+                }
+
+                if(progressCB) progressCB((offset+chunk.byteLength)/bytes.byteLength);
+            }
+        }finally{
+            await this.#execChecked("f.close()", "put " + path);
+        }
+    }
+
+
+    // Removes a file
+    async rm(path){
+        return await this.#enqueue(() => this.#rm(path));
+    }
+
+
+    async #rm(path){
+        await this.#execChecked("import os\nos.remove(" + pyString(path) + ")", "rm " + path);
+    }
+
+
+    // Creates a directory
+    async mkdir(path){
+        return await this.#enqueue(() => this.#mkdir(path));
+    }
+
+
+    async #mkdir(path){
+        await this.#execChecked("import os\nos.mkdir(" + pyString(path) + ")", "mkdir " + path);
+    }
+
+
+    // Removes an empty directory
+    async rmdir(path){
+        return await this.#enqueue(() => this.#rmdir(path));
+    }
+
+
+    async #rmdir(path){
+        await this.#execChecked("import os\nos.rmdir(" + pyString(path) + ")", "rmdir " + path);
+    }
+
+
+    // Renames/moves a file or directory
+    async rename(from, to){
+        return await this.#enqueue(() => this.#rename(from, to));
+    }
+
+
+    async #rename(from, to){
+        await this.#execChecked("import os\nos.rename(" + pyString(from) + "," + pyString(to) + ")", "rename " + from);
+    }
+
+
+    // Creates a directory and any missing parents, existing ones are fine
+    async mkdirs(path){
+        return await this.#enqueue(() => this.#mkdirs(path));
+    }
+
+
+    async #mkdirs(path){
+        const parts = path.split("/").filter(part => part.length > 0);
+
+        for(let i=1; i<=parts.length; i++){
+            const dir = "/" + parts.slice(0, i).join("/");
+
+            if(!await this.#exists(dir)){
+                await this.#mkdir(dir);
+            }
+        }
+    }
+
+
+    // Copies a set of files onto the device (like `mpremote cp -r`). `files` maps
+    // paths relative to `remoteDir` to their contents (strings or bytes), missing
+    // directories are created. `progressCB` gets 0 to 1 over all bytes
+    async putDir(files, remoteDir, progressCB){
+        return await this.#enqueue(() => this.#putDir(files, remoteDir, progressCB));
+    }
+
+
+    async #putDir(files, remoteDir, progressCB){
+        const paths = Object.keys(files);
+        const total = paths.reduce((sum, path) => sum + toBytes(files[path]).byteLength, 0);
+        let done = 0;
+
+        let createdDirs = new Set();
+
+        for(const path of paths){
+            const remotePath = joinPath(remoteDir, path);
+            const parent     = remotePath.slice(0, remotePath.lastIndexOf("/"));
+
+            if(parent.length > 0 && !createdDirs.has(parent)){
+                await this.#mkdirs(parent);
+                createdDirs.add(parent);
+            }
+
+            const size = toBytes(files[path]).byteLength;
+            await this.#put(remotePath, files[path], fraction => {
+                if(progressCB && total > 0) progressCB((done + fraction*size)/total);
+            });
+            done += size;
+        }
+    }
+
+
+    // Lists every file under `remoteDir` recursively, returns an object
+    // mapping paths relative to `remoteDir` to their sizes
+    async #listTree(remoteDir){
+        let files = {};
+
+        const walk = async (dir, relative) => {
+            for(const entry of await this.#ls(dir)){
+                const path = relative + entry.name;
+
+                if(entry.isDir){
+                    await walk(joinPath(dir, entry.name), path + "/");
+                }else{
+                    files[path] = entry.size;
+                }
+            }
+        }
+
+        await walk(remoteDir, "");
+
+        return files;
+    }
+
+
+    // Copies a directory off the device (like `mpremote cp -r`), returns an object mapping
+    // paths relative to `remoteDir` to their contents as bytes
+    async getDir(remoteDir){
+        return await this.#enqueue(() => this.#getDir(remoteDir));
+    }
+
+
+    async #getDir(remoteDir){
+        let files = {};
+
+        for(const path of Object.keys(await this.#listTree(remoteDir))){
+            files[path] = await this.#get(joinPath(remoteDir, path));
+        }
+
+        return files;
+    }
+
+
+    // Removes a directory and everything in it
+    async rmTree(path){
+        return await this.#enqueue(() => this.#rmTree(path));
+    }
+
+
+    async #rmTree(path){
+        for(const entry of await this.#ls(path)){
+            const entryPath = joinPath(path, entry.name);
+
+            if(entry.isDir){
+                await this.#rmTree(entryPath);
+            }else{
+                await this.#rm(entryPath);
+            }
+        }
+
+        await this.#rmdir(path);
+    }
+
+
+    // Returns the SHA-256 of a file on the device as a hex string
+    async hash(path){
+        return await this.#enqueue(() => this.#hash(path));
+    }
+
+
+    async #hash(path){
+        const stdout = await this.#execChecked(
+            "import hashlib,binascii\n" +
+            "h=hashlib.sha256()\n" +
+            "f=open(" + pyString(path) + ",'rb')\n" +
+            "while 1:\n" +
+            " b=f.read(" + this.chunkSize + ")\n" +
+            " if not b:break\n" +
+            " h.update(b)\n" +
+            "f.close()\n" +
+            "print(binascii.hexlify(h.digest()).decode())",
+            "hash " + path
+        );
+
+        return stdout.trim();
+    }
+
+
+    // Works out what `sync()` would do without changing anything on the device. `localTree` is a
+    // `FileSystemDirectoryHandle` or an object/`Map` of relative paths to contents (strings or bytes).
+    // Files are compared by size first and then by hash. Returns:
+    // * upload:    List of `{path, reason}` where reason is "new" or "changed"
+    // * remove:    Paths on the device that aren't in `localTree` (only if `deleteStale`)
+    // * unchanged: Paths that are already identical on the device
+    // * files:     The local contents as bytes, keyed by path
+    async syncPlan(localTree, remoteRoot, deleteStale=false){
+        return await this.#enqueue(() => this.#syncPlan(localTree, remoteRoot, deleteStale));
+    }
+
+
+    async #syncPlan(localTree, remoteRoot, deleteStale){
+        const files = await readLocalTree(localTree);
+
+        // A missing remote root just means everything is new
+        let remote = {};
+        if(await this.#exists(remoteRoot)){
+            remote = await this.#listTree(remoteRoot);
+        }
+
+        let plan = {upload: [], remove: [], unchanged: [], files};
+
+        for(const [path, data] of Object.entries(files)){
+            if(!(path in remote)){
+                plan.upload.push({path, reason: "new"});
+            }else if(remote[path] != data.byteLength || await this.#hash(joinPath(remoteRoot, path)) != await sha256(data)){
+                plan.upload.push({path, reason: "changed"});
+            }else{
+                plan.unchanged.push(path);
+            }
+        }
+
+        if(deleteStale){
+            plan.remove = Object.keys(remote).filter(path => !(path in files));
+        }
+
+        return plan;
+    }
+
+
+    // Makes `remoteRoot` on the device match `localTree`, only uploading files that changed
+    // (see `syncPlan()` for `localTree`). Options:
+    // * deleteStale: Also remove device files that aren't in `localTree` (directories are kept)
+    // * onPlan:      Called with the plan before anything changes, return (or resolve) `false` to cancel
+    // * progressCB:  Gets 0 to 1 over all uploaded bytes
+    // Returns the plan, with `cancelled` set if `onPlan` cancelled it
+    async sync(localTree, remoteRoot, options={}){
+        const plan = await this.syncPlan(localTree, remoteRoot, options.deleteStale ?? false);
+
+        // Not queued so `onPlan` can wait on the user (or use the board itself)
+        if(options.onPlan && await options.onPlan(plan) === false){
+            return {...plan, cancelled: true};
+        }
+
+        let uploads = {};
+        plan.upload.forEach(({path}) => uploads[path] = plan.files[path]);
+
+        await this.#enqueue(async () => {
+            await this.#putDir(uploads, remoteRoot, options.progressCB);
+
+            for(const path of plan.remove){
+                await this.#rm(joinPath(remoteRoot, path));
+            }
+        });
+
+        return {...plan, cancelled: false};
     }
-}
\ No newline at end of file
+}
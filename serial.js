@@ -1,5 +1,362 @@
-class Serial{
+// https://developer.mozilla.org/en-US/docs/Web/API/Web_Serial_API
+// This module is a small abstraction over WebSerial that handles the reader/writer
+// locks and keeps a background reader running so that data can be consumed either
+// as a stream of "data" events or through `read()`/`readUntil()` with timeouts.
+//
+// Events (dispatched on the `Serial` instance):
+// * "data":       `event.detail` is a `Uint8Array` of newly received bytes
+// * "disconnect": The open port went away (e.g. device reset or unplugged)
+// * "reconnect":  A port matching the last opened one came back, `event.detail.port`
+//                 is the new `SerialPort`. If `autoReconnect` was set it is already open,
+//                 unless opening it failed, then `event.detail.error` is why (otherwise `null`)
+// * "error":      Reading failed but carries on (e.g. framing or buffer overrun errors),
+//                 `event.detail` is the error
+
+
+// Base for all errors thrown by this module
+export class SerialError extends Error{
+    constructor(message){
+        super(message);
+        this.name = new.target.name;
+    }
+}
+
+// Thrown when a read doesn't complete in time. `data` holds what was received
+// so far, it is left in the receive buffer for the next read
+export class SerialTimeoutError extends SerialError{
+    constructor(message, data){
+        super(message);
+        this.data = data;
+    }
+}
+
+
+export default class Serial extends EventTarget{
+    #readLoop    = null;    // Promise for the background reader, resolves once it stops
+    #closing     = false;   // Set while the port is being closed so the reader stops
+    #dataWaiters = [];      // Called whenever data arrives (or the port closes)
+
     constructor(){
-        
+        super();
+
+        this.port = null;
+        this.portInfo = null;       // `getInfo()` of the last opened port, used for matching on reconnect
+        this.openOptions = null;
+        this.#init();
+    }
+
+
+    // Simply resets some runtime state
+    #init(){
+        this.buffer      = new Uint8Array(0);   // Received bytes not consumed by `read()`/`readUntil()` yet
+        this.reader      = null;
+        this.writer      = null;
+        this.#readLoop   = null;
+        this.#dataWaiters.forEach(waiter => waiter());
+        this.#dataWaiters = [];
+    }
+
+
+    // Converts strings (UTF-8) and buffers to `Uint8Array`
+    #toBytes(data){
+        if(typeof data == "string"){
+            return new TextEncoder().encode(data);
+        }
+
+        return new Uint8Array(data.buffer ?? data, data.byteOffset ?? 0, data.byteLength);
+    }
+
+
+    // Finds `pattern` in the receive buffer, returns -1 if not there
+    #indexOf(pattern){
+        for(let i=0; i<=this.buffer.byteLength-pattern.byteLength; i++){
+            let found = true;
+
+            for(let j=0; j<pattern.byteLength && found; j++){
+                found = this.buffer[i+j] == pattern[j];
+            }
+
+            if(found){
+                return i;
+            }
+        }
+
+        return -1;
+    }
+
+
+    // Removes and returns the first `size` bytes of the receive buffer
+    #consume(size){
+        const data  = this.buffer.slice(0, size);
+        this.buffer = this.buffer.slice(size);
+        return data;
+    }
+
+
+    // Waits until more data arrives or `deadline` (ms since epoch) passes, resolves
+    // `true` if data arrived. Rejects with the reason if `signal` is aborted first
+    #waitForData(deadline, signal){
+        if(!this.connected()){
+            throw new SerialError("serial.js: ERROR: Not connected");
+        }
+        signal?.throwIfAborted();
+
+        return new Promise((resolve, reject) => {
+            let timer = null;
+
+            const done = () => {
+                clearTimeout(timer);
+                signal?.removeEventListener("abort", onAbort);
+                this.#dataWaiters = this.#dataWaiters.filter(other => other !== waiter);
+            }
+
+            const waiter = () => {
+                done();
+                resolve(true);
+            }
+
+            const onAbort = () => {
+                done();
+                reject(signal.reason);
+            }
+
+            if(deadline !== Infinity){
+                timer = setTimeout(() => {
+                    done();
+                    resolve(false);
+                }, Math.max(0, deadline - Date.now()));
+            }
+
+            signal?.addEventListener("abort", onAbort);
+            this.#dataWaiters.push(waiter);
+        });
+    }
+
+
+    // Called by the background reader for every chunk of data
+    #receive(data){
+        const buffer = new Uint8Array(this.buffer.byteLength + data.byteLength);
+        buffer.set(this.buffer);
+        buffer.set(data, this.buffer.byteLength);
+        this.buffer = buffer;
+
+        const waiters = this.#dataWaiters;
+        this.#dataWaiters = [];
+        waiters.forEach(waiter => waiter());
+
+        this.dispatchEvent(new CustomEvent("data", {detail: data}));
+    }
+
+
+    // Keeps reading until the port is closed or goes away. Non-fatal errors (e.g.
+    // framing or buffer overrun) replace `port.readable` so reading just carries on
+    async #read(){
+        const port = this.port;
+
+        while(this.port === port && port.readable !== null && !this.#closing){
+            const reader = port.readable.getReader();
+            this.reader = reader;
+
+            try{
+                while(true){
+                    const {value, done} = await reader.read();
+                    if(done){
+                        break;
+                    }
+
+                    this.#receive(value);
+                }
+            }catch(error){
+                // Reads of a port that was closed or unplugged fail too
+                if(this.port === port && !this.#closing){
+                    this.dispatchEvent(new CustomEvent("error", {detail: error}));
+                }
+            }finally{
+                reader.releaseLock();
+                if(this.reader === reader){
+                    this.reader = null;
+                }
+            }
+        }
+    }
+
+
+    // Returns if `port` looks like the last opened one came back. The serial number is
+    // compared when both have one so another board of the same kind isn't picked up
+    #matches(port){
+        const info = port.getInfo();
+
+        return info.usbVendorId == this.portInfo.usbVendorId && info.usbProductId == this.portInfo.usbProductId &&
+               (info.serialNumber === undefined || this.portInfo.serialNumber === undefined || info.serialNumber == this.portInfo.serialNumber);
+    }
+
+
+    // Fired by `navigator.serial` when any port is plugged in (arrow
+    // functions so they can be added and removed as listeners)
+    #onConnect = async (event) => {
+        const port = event.target;
+
+        if(this.port !== null || this.portInfo === null || !this.#matches(port)){
+            return;
+        }
+
+        // The port can still be busy or no longer be permitted, the listener can retry
+        let error = null;
+        if(this.openOptions.autoReconnect){
+            try{
+                await this.open(port, this.openOptions);
+            }catch(openError){
+                error = openError;
+            }
+        }
+
+        this.dispatchEvent(new CustomEvent("reconnect", {detail: {port, error}}));
+    }
+
+
+    // Fired by `navigator.serial` when any port goes away
+    #onDisconnect = async (event) => {
+        if(event.target !== this.port){
+            return;
+        }
+
+        // The port is already gone so there's nothing to close, just drop everything
+        this.#closing = true;
+        this.port = null;
+        this.#init();
+
+        this.dispatchEvent(new Event("disconnect"));
+    }
+
+
+    // Asks the user to select a port and opens it. See `open()` for `options`
+    async connect(filters=[], options={}){
+        const port = await navigator.serial.requestPort({filters});
+        await this.open(port, options);
+    }
+
+
+    // Opens an already selected/authorized port (e.g. from `navigator.serial.getPorts()`). Options:
+    // * baudRate:      Defaults to 115200
+    // * flowControl:   "none" or "hardware", defaults to "none"
+    // * dataBits, stopBits, parity, bufferSize: Passed straight to `SerialPort.open()`
+    // * autoReconnect: Re-open the port when it comes back after a disconnect
+    async open(port, options={}){
+        // Close before reopening
+        if(this.port !== null){
+            await this.disconnect();
+        }
+
+        this.#init();
+        this.#closing = false;
+
+        await port.open({
+            baudRate:    options.baudRate ?? 115200,
+            flowControl: options.flowControl ?? "none",
+            dataBits:    options.dataBits,
+            stopBits:    options.stopBits,
+            parity:      options.parity,
+            bufferSize:  options.bufferSize
+        });
+
+        this.port        = port;
+        this.portInfo    = port.getInfo();
+        this.openOptions = options;
+        this.writer      = port.writable.getWriter();
+        this.#readLoop   = this.#read();
+
+        navigator.serial.addEventListener("connect",    this.#onConnect);
+        navigator.serial.addEventListener("disconnect", this.#onDisconnect);
+    }
+
+
+    // Stops the background reader, releases the locks and closes the port. The
+    // port isn't watched for reconnects after this
+    async disconnect(){
+        if(this.portInfo !== null){
+            navigator.serial.removeEventListener("connect",    this.#onConnect);
+            navigator.serial.removeEventListener("disconnect", this.#onDisconnect);
+            this.portInfo = null;
+        }
+
+        if(this.port === null){
+            return;
+        }
+
+        this.#closing = true;
+
+        if(this.reader !== null){
+            await this.reader.cancel();
+        }
+        await this.#readLoop;
+
+        this.writer.releaseLock();
+        await this.port.close();
+
+        this.port = null;
+        this.#init();
+    }
+
+
+    // Returns if the serial port is open
+    connected(){
+        return this.port !== null;
+    }
+
+
+    // Writes a string (encoded as UTF-8) or bytes
+    async write(data){
+        if(!this.connected()){
+            throw new SerialError("serial.js: ERROR: Not connected");
+        }
+
+        await this.writer.write(this.#toBytes(data));
+    }
+
+
+    // Number of received bytes waiting to be read
+    available(){
+        return this.buffer.byteLength;
+    }
+
+
+    // Discards everything in the receive buffer and returns it
+    flush(){
+        return this.#consume(this.buffer.byteLength);
+    }
+
+
+    // Reads exactly `size` bytes, waits at most `timeout` ms (`Infinity` to wait forever).
+    // Waiting stops early if the optional `AbortSignal` is aborted (rejects with its reason)
+    async read(size, timeout=1000, signal){
+        const deadline = Date.now() + timeout;
+
+        while(this.buffer.byteLength < size){
+            if(!await this.#waitForData(deadline, signal)){
+                throw new SerialTimeoutError("serial.js: ERROR: Timed out reading " + size + " bytes, got " + this.buffer.byteLength, this.buffer.slice());
+            }
+        }
+
+        return this.#consume(size);
+    }
+
+
+    // Reads until `delimiter` (string or bytes) is received and returns everything up to and including
+    // it, waits at most `timeout` ms (`Infinity` to wait forever) between the call and the delimiter.
+    // Waiting stops early if the optional `AbortSignal` is aborted (rejects with its reason)
+    async readUntil(delimiter, timeout=1000, signal){
+        const pattern  = this.#toBytes(delimiter);
+        const deadline = Date.now() + timeout;
+
+        while(true){
+            const index = this.#indexOf(pattern);
+            if(index != -1){
+                return this.#consume(index + pattern.byteLength);
+            }
+
+            if(!await this.#waitForData(deadline, signal)){
+                throw new SerialTimeoutError("serial.js: ERROR: Timed out waiting for " + JSON.stringify(new TextDecoder().decode(pattern)), this.buffer.slice());
+            }
+        }
     }
-}
\ No newline at end of file
+}
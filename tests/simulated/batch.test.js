@@ -0,0 +1,45 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import Batch from "../../batch.js";
+import {PICOBOOT_MEMORY_MAP} from "../../picoboot.js";
+import UF2, {UF2_FAMILY_IDS} from "../../uf2.js";
+import {SimulatedPicobootDevice, SimulatedUSB, installSimulatedUSB} from "./usb.js";
+
+
+const FIRMWARE = UF2.fromBinary(new Uint8Array(8192).map((_, i) => (i * 7) & 0xff), PICOBOOT_MEMORY_MAP.FLASH_START, UF2_FAMILY_IDS.RP2040).toUint8Array();
+
+
+test("flashes authorized and newly plugged in boards and reports each one", async () => {
+    const good = new SimulatedPicobootDevice({serialNumber: "GOOD"});
+    const bad  = new SimulatedPicobootDevice({serialNumber: "BAD", stuckBytes: {100: 0x00}});
+    const usb  = new SimulatedUSB([good, bad]);
+    usb.authorized.add(good);
+    usb.authorized.add(bad);
+    installSimulatedUSB(usb);
+
+    const batch = new Batch(FIRMWARE, {name: "test firmware"});
+    let started = [];
+    batch.addEventListener("start", (event) => started.push(event.detail.serialNumber));
+
+    const results = await batch.flashAuthorized();
+    assert.deepEqual(started.sort(), ["BAD", "GOOD"]);
+    assert.deepEqual(results.map(({serialNumber, chip, firmware, success, verified}) => ({serialNumber, chip, firmware, success, verified})), [
+        {serialNumber: "GOOD", chip: "RP2040", firmware: "test firmware", success: true,  verified: true},
+        {serialNumber: "BAD",  chip: "RP2040", firmware: "test firmware", success: false, verified: false}
+    ]);
+    assert.match(results[1].error, /Verify failed/);
+    assert.equal(good.attached, false);     // Rebooted into the new firmware
+    assert.equal(bad.attached, true);       // Left in BOOTSEL
+
+    batch.watch();
+    const plugged = new SimulatedPicobootDevice({serialNumber: "NEW"});
+    usb.attach(plugged);
+    await batch.idle();
+    batch.unwatch();
+
+    assert.equal(batch.results.length, 3);
+    assert.equal(batch.results[2].serialNumber, "NEW");
+    assert.equal(batch.results[2].success, true);
+    assert.deepEqual(plugged.flash.subarray(0, 8192), good.flash.subarray(0, 8192));
+});
@@ -0,0 +1,118 @@
+// In-memory stand-ins for the File System Access API handles (`FileSystemDirectoryHandle`,
+// `FileSystemFileHandle` and `FileSystemWritableFileStream`) so code that writes to drives
+// picked with `showDirectoryPicker()` can be tested under Node. Like browsers, writes only
+// replace the file once the stream is closed and aborting a stream leaves the file as it was
+
+
+class SimulatedWritable{
+    #file   = null;
+    #chunks = [];
+
+    constructor(file){
+        this.#file = file;
+    }
+
+
+    async write(data){
+        this.#chunks.push(typeof data == "string" ? new TextEncoder().encode(data) : new Uint8Array(data).slice());
+    }
+
+
+    async close(){
+        const data = new Uint8Array(this.#chunks.reduce((size, chunk) => size + chunk.byteLength, 0));
+        this.#chunks.reduce((offset, chunk) => {
+            data.set(chunk, offset);
+            return offset + chunk.byteLength;
+        }, 0);
+
+        this.#file.data = data;
+        this.#file.writes += 1;
+    }
+
+
+    async abort(){
+        this.#chunks = [];
+    }
+}
+
+
+export class SimulatedFileHandle{
+    constructor(name, data=new Uint8Array(0)){
+        this.kind   = "file";
+        this.name   = name;
+        this.data   = typeof data == "string" ? new TextEncoder().encode(data) : data;
+        this.writes = 0;    // Number of times a writable was closed
+    }
+
+
+    // Only what's used is implemented, `text()` and `arrayBuffer()`
+    async getFile(){
+        const data = this.data;
+        return {
+            name:        this.name,
+            size:        data.byteLength,
+            text:        async () => new TextDecoder().decode(data),
+            arrayBuffer: async () => data.slice().buffer
+        };
+    }
+
+
+    async createWritable(){
+        return new SimulatedWritable(this);
+    }
+}
+
+
+export class SimulatedDirectoryHandle{
+    // `files` is an object of file name -> contents (string or `Uint8Array`), or
+    // another such object for a subdirectory. `this.files` has the handles by name
+    constructor(name, files={}){
+        this.kind  = "directory";
+        this.name  = name;
+        this.files = new Map(Object.entries(files).map(([fileName, data]) => [fileName,
+            typeof data == "string" || data instanceof Uint8Array ? new SimulatedFileHandle(fileName, data) : new SimulatedDirectoryHandle(fileName, data)
+        ]));
+    }
+
+
+    async *values(){
+        yield* this.files.values();
+    }
+
+
+    async getDirectoryHandle(name){
+        if(this.files.get(name)?.kind != "directory"){
+            throw new DOMException("A requested file or directory could not be found", "NotFoundError");
+        }
+
+        return this.files.get(name);
+    }
+
+
+    async getFileHandle(name, options={}){
+        if(this.files.get(name)?.kind == "directory"){
+            throw new DOMException("The path supplied exists, but was not an entry of requested type.", "TypeMismatchError");
+        }
+
+        if(!this.files.has(name)){
+            if(!options.create){
+                throw new DOMException("A requested file or directory could not be found", "NotFoundError");
+            }
+            this.files.set(name, new SimulatedFileHandle(name));
+        }
+
+        return this.files.get(name);
+    }
+}
+
+
+// A BOOTSEL drive like the bootrom presents, `chip` is "RP2040" or "RP2350"
+export function simulatedBootselDrive(chip="RP2040"){
+    const info = chip == "RP2040" ? "UF2 Bootloader v3.0\r\nModel: Raspberry Pi RP2\r\nBoard-ID: RPI-RP2\r\n"
+                                  : "UF2 Bootloader v1.0\r\nModel: Raspberry Pi RP2350\r\nBoard-ID: RP2350\r\n";
+
+    return new SimulatedDirectoryHandle(chip == "RP2040" ? "RPI-RP2" : "RP2350", {
+        "INDEX.HTM":    "<html><head><meta http-equiv=\"refresh\" content=\"0;URL='https://raspberrypi.com/device/RP2?version=E0C9125B0D9B'\"/></head><body>Redirecting to <a href='https://raspberrypi.com/device/RP2?version=E0C9125B0D9B'>raspberrypi.com</a></body></html>",
+        "INFO_UF2.TXT": info
+    });
+}
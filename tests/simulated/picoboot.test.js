@@ -0,0 +1,145 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import Picoboot, {PICOBOOT_EXCLUSIVE_MODES, PICOBOOT_MEMORY_MAP, PICOBOOT_STATUS,
+                  PicobootBadAlignmentError, PicobootInvalidAddressError, PicobootUnknownCommandError} from "../../picoboot.js";
+import {SimulatedPicobootDevice, SimulatedUSB, installSimulatedUSB} from "./usb.js";
+
+const FILTERS = [{vendorId: 0x2E8A, productId: 0x0003}, {vendorId: 0x2E8A, productId: 0x000F}];
+
+
+// Connects a `Picoboot` to a fresh simulated device
+async function connect(options){
+    const device = new SimulatedPicobootDevice(options);
+    installSimulatedUSB(new SimulatedUSB([device]));
+
+    const picoboot = new Picoboot();
+    await picoboot.connect(FILTERS);
+
+    return {device, picoboot};
+}
+
+
+test("connects and claims the PICOBOOT interface", async () => {
+    const {device, picoboot} = await connect();
+
+    assert.equal(picoboot.connected(), true);
+    assert.equal(device.claimed, true);
+    assert.deepEqual(picoboot.EPNums, {out: 3, in: 4});
+});
+
+
+test("exclusive and exitXIP reach the device", async () => {
+    const {device, picoboot} = await connect();
+
+    await picoboot.exclusive(PICOBOOT_EXCLUSIVE_MODES.EXCLUSIVE_AND_EJECT);
+    await picoboot.exitXIP();
+
+    assert.equal(device.exclusive, PICOBOOT_EXCLUSIVE_MODES.EXCLUSIVE_AND_EJECT);
+    assert.equal(device.xip, false);
+});
+
+
+test("erase, write and read back flash", async () => {
+    const {device, picoboot} = await connect();
+    const address = PICOBOOT_MEMORY_MAP.FLASH_START + 0x1000;
+    const payload = new Uint8Array(256).map((_, i) => i);
+
+    device.flash.fill(0x00, 0x1000, 0x2000);
+    await picoboot.flashEraseSector(address + 0x10);
+    await picoboot.flashWrite(address, payload.byteLength, payload);
+
+    assert.deepEqual(await picoboot.flashRead(address, 256), payload);
+    assert.deepEqual(await picoboot.flashRead(address + 256, 4), new Uint8Array(4).fill(0xff));
+});
+
+
+test("misaligned erase throws a typed error and the session recovers", async () => {
+    const {device, picoboot} = await connect();
+
+    await assert.rejects(picoboot.flashErase(PICOBOOT_MEMORY_MAP.FLASH_START + 0x100, 4096), error => {
+        assert.ok(error instanceof PicobootBadAlignmentError);
+        assert.equal(error.status, PICOBOOT_STATUS.BAD_ALIGNMENT);
+        assert.equal(error.cmdId, 0x03);
+        assert.equal(error.token, device.commandLog.at(-1).token);
+        return true;
+    });
+
+    assert.equal(device.halted, false);
+    assert.deepEqual(await picoboot.flashRead(PICOBOOT_MEMORY_MAP.FLASH_START, 4), new Uint8Array(4).fill(0xff));
+});
+
+
+test("commands the chip doesn't have throw PicobootUnknownCommandError", async () => {
+    const {picoboot} = await connect({chip: "RP2350"});
+
+    await assert.rejects(picoboot.rebootRP2040(), PicobootUnknownCommandError);
+});
+
+
+test("exec and vectorizeFlash send their address and handle the status", async () => {
+    const {device, picoboot} = await connect();
+    const address = PICOBOOT_MEMORY_MAP.SRAM_START + 0x100;
+    const args    = () => new DataView(device.commandLog.at(-1).args.buffer).getUint32(0, true);
+
+    await picoboot.vectorizeFlash(address);
+    assert.equal(device.commandLog.at(-1).cmdId, 0x09);
+    assert.equal(args(), address);
+    assert.equal(device.vectorizedTo, address);
+
+    await picoboot.exec(address + 1);
+    assert.equal(device.commandLog.at(-1).cmdId, 0x08);
+    assert.equal(args(), address + 1);
+    assert.deepEqual(device.executed, [address + 1]);
+
+    // The table has to go in SRAM
+    await assert.rejects(picoboot.vectorizeFlash(PICOBOOT_MEMORY_MAP.FLASH_START), error => {
+        assert.ok(error instanceof PicobootInvalidAddressError);
+        assert.equal(error.status, PICOBOOT_STATUS.INVALID_ADDRESS);
+        assert.equal(error.cmdId, 0x09);
+        return true;
+    });
+    assert.equal(device.vectorizedTo, address);
+
+    const {picoboot: rp2350} = await connect({chip: "RP2350"});
+    await assert.rejects(rp2350.exec(address), PicobootUnknownCommandError);
+    await assert.rejects(rp2350.vectorizeFlash(address), PicobootUnknownCommandError);
+});
+
+
+test("GET_INFO decodes system info and the partition table", async () => {
+    const {picoboot} = await connect({chip: "RP2350", flashSize: 4 * 1024 * 1024, partitions: [
+        {start: 0x2000,   size: 0x100000, name: "A"},
+        {start: 0x102000, size: 0x100000, familyIds: [0xe48bff58, 0x12345678], name: "data"}
+    ]});
+
+    const info = await picoboot.sysInfo();
+    assert.equal(info.package, "QFN60");
+    assert.equal(info.chipId, "9abcdef012345678");
+    assert.equal(info.cpu, "arm");
+    assert.equal(info.flash.cs0Size, 4 * 1024 * 1024);
+    assert.equal(info.boot.type, "BOOTSEL");
+    assert.equal(info.boot.partition, -1);
+
+    const table = await picoboot.partitionTable();
+    assert.equal(table.present, true);
+    assert.deepEqual(table.partitions.map(({start, end, name}) => ({start, end, name})),
+                     [{start: 0x2000, end: 0x102000, name: "A"}, {start: 0x102000, end: 0x202000, name: "data"}]);
+    assert.deepEqual(table.partitions[1].familyIds, [0xe48bff58, 0x12345678]);
+
+    assert.equal((await picoboot.uf2TargetPartition(0xe48bff59)).index, 0);
+    assert.equal(await picoboot.uf2TargetPartition(0xe48bff56), null);
+});
+
+
+test("reboot picks the command for the chip and encodes BOOTSEL options", async () => {
+    const {device, picoboot} = await connect({chip: "RP2350"});
+    await picoboot.reboot({type: "bootsel", disableMSD: true, ledPin: 25, arch: "riscv", delayMS: 100});
+    assert.deepEqual(device.rebootedWith, {flags: 0x22, delayMS: 100, param0: 0x21, param1: 25});
+
+    const rp2040 = await connect();
+    await assert.rejects(rp2040.picoboot.reboot({type: "bootsel"}), /not supported on RP2040/);
+    await rp2040.picoboot.reboot();
+    assert.deepEqual(rp2040.device.rebootedWith, {pc: 0, sp: 0, delayMS: 500});
+    assert.equal(rp2040.picoboot.connected(), false);   // Forgotten once it drops off the bus
+});
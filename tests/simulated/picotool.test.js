@@ -0,0 +1,377 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import Picoboot, {PICOBOOT_MEMORY_MAP} from "../../picoboot.js";
+import Picotool, {OTP_ROWS} from "../../picotool.js";
+import UF2, {UF2_FAMILY_IDS} from "../../uf2.js";
+import {SimulatedPicobootDevice, SimulatedUSB, installSimulatedUSB} from "./usb.js";
+import {SimulatedDirectoryHandle, simulatedBootselDrive} from "./filesystem.js";
+
+
+// Sets up a `Picotool` with a fresh simulated device
+function setup(options){
+    const device = new SimulatedPicobootDevice(options);
+    const usb    = new SimulatedUSB([device]);
+    installSimulatedUSB(usb);
+
+    return {device, usb, picotool: new Picotool(new Picoboot())};
+}
+
+
+// Some pseudo-random data that doesn't repeat every page (so flash size guessing works)
+function firmware(size){
+    let seed = 1;
+    return new Uint8Array(size).map(() => {
+        seed = (seed * 1103515245 + 12345) >>> 0;
+        return seed >>> 24;
+    });
+}
+
+
+test("load writes UF2 blocks to flash and reboots", async () => {
+    const {device, picotool} = setup();
+    const binary = firmware(10000);
+
+    await picotool.load(UF2.fromBinary(binary, PICOBOOT_MEMORY_MAP.FLASH_START, UF2_FAMILY_IDS.RP2040).toUint8Array());
+
+    assert.deepEqual(device.flash.subarray(0, binary.byteLength), binary);
+    assert.notEqual(device.rebootedWith, null);
+    assert.equal(device.attached, false);
+});
+
+
+test("load erases and writes contiguous runs with as few commands as possible", async () => {
+    const {device, picotool} = setup();
+
+    // Two separate runs of data with an all 0xff sector in the middle of the first
+    const binary = firmware(3 * 4096);
+    binary.fill(0xff, 4096, 8192);
+    const blocks = [...UF2.fromBinary(binary, PICOBOOT_MEMORY_MAP.FLASH_START, UF2_FAMILY_IDS.RP2040).blocks,
+                    ...UF2.fromBinary(firmware(256), PICOBOOT_MEMORY_MAP.FLASH_START + 0x10000, UF2_FAMILY_IDS.RP2040).blocks];
+    const uf2 = new UF2(blocks.reverse().map((block, i) => ({...block, blockNo: i, blockCount: blocks.length})));
+
+    await picotool.load(uf2.toUint8Array());
+
+    const commands = (cmdId) => device.commandLog.filter(command => command.cmdId == cmdId).length;
+    assert.equal(commands(0x03), 2);    // FLASH_ERASE
+    assert.equal(commands(0x05), 3);    // WRITE
+    assert.deepEqual(device.flash.subarray(0, binary.byteLength), binary);
+});
+
+
+test("load rejects UF2s for other chips before erasing", async () => {
+    const {device, picotool} = setup();
+    device.flash.fill(0x12);
+
+    const uf2 = UF2.fromBinary(firmware(512), PICOBOOT_MEMORY_MAP.FLASH_START, UF2_FAMILY_IDS.RP2350_ARM_S).toUint8Array();
+    await assert.rejects(picotool.load(uf2), /no blocks for the connected device/);
+
+    assert.equal(device.flash[0], 0x12);
+});
+
+
+test("load with verify refuses to reboot when flash doesn't match", async () => {
+    // Make one byte stick at zero, erasing won't fix it
+    const {device, picotool} = setup({stuckBytes: {100: 0x00}});
+    const binary = firmware(4096);
+    binary[100] = 0x5a;
+
+    const uf2 = UF2.fromBinary(binary, PICOBOOT_MEMORY_MAP.FLASH_START, UF2_FAMILY_IDS.RP2040).toUint8Array();
+    await assert.rejects(picotool.load(uf2, null, {verify: true}), error => error.address == PICOBOOT_MEMORY_MAP.FLASH_START + 100);
+
+    assert.equal(device.rebootedWith, null);
+});
+
+
+test("save returns the whole flash as a binary or UF2", async () => {
+    const {device, picotool} = setup({flashSize: 256 * 1024});
+    device.flash.set(firmware(device.flash.byteLength));
+
+    const binary = await picotool.save();
+    assert.deepEqual(binary, device.flash);
+
+    const uf2 = UF2.parse(await picotool.save({address: PICOBOOT_MEMORY_MAP.FLASH_START + 0x1000, size: 1024, format: "uf2"}));
+    assert.equal(uf2.blocks.length, 4);
+    assert.equal(uf2.blocks[0].address, PICOBOOT_MEMORY_MAP.FLASH_START + 0x1000);
+    assert.deepEqual(uf2.blocks[0].data, device.flash.subarray(0x1000, 0x1100));
+    assert.deepEqual(uf2.familyIds(), [UF2_FAMILY_IDS.RP2040]);
+});
+
+
+test("loadRam writes SRAM, never flash, and starts at the reset vector", async () => {
+    const {device, picotool} = setup();
+    const image = firmware(3000);
+    const view  = new DataView(image.buffer);
+    view.setUint32(0, 0x20042000, true);    // Initial SP
+    view.setUint32(4, 0x20000101, true);    // Reset handler
+
+    await picotool.loadRam(UF2.fromBinary(image, PICOBOOT_MEMORY_MAP.SRAM_START, UF2_FAMILY_IDS.RP2040).toUint8Array(), null, {verify: true});
+
+    assert.deepEqual(device.sram.subarray(0, image.byteLength), image);
+    assert.ok(device.flash.every(byte => byte == 0xff));
+    assert.deepEqual(device.rebootedWith, {pc: 0x20000101, sp: 0x20042000, delayMS: 500});
+});
+
+
+test("loadRam refuses images that would touch flash", async () => {
+    const {device, picotool} = setup();
+    const uf2 = UF2.fromBinary(firmware(512), PICOBOOT_MEMORY_MAP.FLASH_START, UF2_FAMILY_IDS.RP2040).toUint8Array();
+
+    await assert.rejects(picotool.loadRam(uf2), /outside of SRAM/);
+    assert.equal(device.commandLog.some(command => command.cmdId == 0x05), false);
+});
+
+
+test("otpSet needs confirmation and otpInfo decodes well known rows", async () => {
+    const {device, picotool} = setup({chip: "RP2350"});
+    device.otp.set([0x1234, 0x5678, 0x9abc, 0xdef0], OTP_ROWS.CHIPID0);
+    device.otp.fill(0x000009, OTP_ROWS.CRIT1, OTP_ROWS.CRIT1 + 3);     // Secure boot + RISC-V in 3 of 8 copies
+
+    await assert.rejects(picotool.otpSet(OTP_ROWS.USER_START, [0x0102]), /confirm/);
+    assert.equal(device.otp[OTP_ROWS.USER_START], 0);
+
+    await picotool.otpSet(OTP_ROWS.USER_START, [0x0102], {confirm: true});
+    assert.equal(device.otp[OTP_ROWS.USER_START], 0x0102);
+
+    const info = await picotool.otpInfo();
+    assert.equal(info.chipId, "def09abc56781234");
+    assert.equal(info.critical.secureBootEnable, true);
+    assert.equal(info.critical.bootArch, "riscv");
+    assert.equal(info.bootKeys[0], null);
+});
+
+
+test("load on RP2350 moves blocks into the bootrom's target partition and boots it", async () => {
+    const {device, picotool} = setup({chip: "RP2350", partitions: [
+        {start: 0x2000,  size: 0x80000, familyIds: [UF2_FAMILY_IDS.DATA]},
+        {start: 0x82000, size: 0x80000}
+    ]});
+    const binary = firmware(5000);
+
+    await picotool.load(UF2.fromBinary(binary, PICOBOOT_MEMORY_MAP.FLASH_START, UF2_FAMILY_IDS.RP2350_ARM_S).toUint8Array());
+
+    assert.deepEqual(device.flash.subarray(0x82000, 0x82000 + binary.byteLength), binary);
+    assert.deepEqual(device.rebootedWith, {flags: 0x4, delayMS: 500, param0: PICOBOOT_MEMORY_MAP.FLASH_START + 0x82000, param1: 0});
+});
+
+
+test("load on RP2350 rejects blocks that don't fit the chosen partition", async () => {
+    const {device, picotool} = setup({chip: "RP2350", partitions: [{start: 0x2000, size: 0x1000}]});
+
+    await assert.rejects(picotool.load(UF2.fromBinary(firmware(8192), PICOBOOT_MEMORY_MAP.FLASH_START, UF2_FAMILY_IDS.RP2350_ARM_S).toUint8Array(),
+                                       undefined, {partition: 0}),
+                         /does not fit in partition 0/);
+    assert.equal(device.commandLog.filter(command => command.cmdId == 0x03).length, 0);
+});
+
+
+// Firmware image with binary info like the Pico SDK adds: header at 0x100, entry pointers at
+// 0x200, mapping table at 0x300 (RAM 0x20000000 is stored at 0x400), entries from 0x500
+function firmwareWithBinaryInfo(){
+    const base  = PICOBOOT_MEMORY_MAP.FLASH_START;
+    const image = firmware(0x1000);
+    const view  = new DataView(image.buffer);
+    const words = (offset, ...values) => values.forEach((value, i) => view.setUint32(offset + i*4, value, true));
+    const string = (offset, text) => image.set([...new TextEncoder().encode(text), 0], offset);
+
+    const idAndString = 6 | (0x5052 << 16);
+    const entries = [
+        [idAndString, 0x02031c86, base + 0x800],        // Program name
+        [idAndString, 0x11a9bc3a, 0x20000000],          // Version, copied to RAM
+        [idAndString, 0xa1f4b453, base + 0x820],        // Feature
+        [idAndString, 0xa1f4b453, base + 0x840],        // Feature
+        [5 | (0x5052 << 16), 0x68f465de, base + 0x1000],// Binary end
+        [8 | (0x5052 << 16), 2 | (2 << 3) | (0 << 7) | (1 << 12) | (1 << 17)],   // UART on GPIO 0 and 1
+        [9 | (0x5052 << 16), 1 << 25, base + 0x860]     // LED on GPIO 25
+    ];
+
+    words(0x100, 0x7188ebf2, base + 0x200, base + 0x200 + entries.length*4, base + 0x300, 0xe71aa390);
+    words(0x300, base + 0x400, 0x20000000, 0x20000100, 0);
+    entries.forEach((entry, i) => {
+        words(0x200 + i*4, base + 0x500 + i*16);
+        words(0x500 + i*16, ...entry);
+    });
+    string(0x400, "1.2.3");
+    string(0x800, "blink");
+    string(0x820, "UART stdin / stdout");
+    string(0x840, "USB stdin / stdout");
+    string(0x860, "LED");
+
+    return image;
+}
+
+
+test("info decodes binary info from UF2 files and device flash", async () => {
+    const {picotool} = setup();
+    const uf2 = UF2.fromBinary(firmwareWithBinaryInfo(), PICOBOOT_MEMORY_MAP.FLASH_START, UF2_FAMILY_IDS.RP2040).toUint8Array();
+
+    const fileInfo = await picotool.info(uf2);
+    assert.equal(fileInfo.programName, "blink");
+    assert.equal(fileInfo.version, "1.2.3");
+    assert.deepEqual(fileInfo.features, ["UART stdin / stdout", "USB stdin / stdout"]);
+    assert.equal(fileInfo.binaryEnd, PICOBOOT_MEMORY_MAP.FLASH_START + 0x1000);
+    assert.deepEqual(fileInfo.pins, {0: ["UART"], 1: ["UART"], 25: ["LED"]});
+
+    const {device, picotool: onDevice} = setup();
+    assert.equal(await onDevice.info(), null);  // Erased flash
+    device.flash.set(firmwareWithBinaryInfo());
+    assert.deepEqual(await onDevice.info(), fileInfo);
+    assert.equal(device.exclusive, 0);
+
+    // Exclusive access is given back when reading the device fails
+    const flashRead = onDevice.picoboot.flashRead;
+    onDevice.picoboot.flashRead = async () => { throw new Error("read failed"); };
+    await assert.rejects(onDevice.info(), /read failed/);
+    assert.equal(device.exclusive, 0);
+    onDevice.picoboot.flashRead = flashRead;
+
+    assert.equal(await picotool.info(firmware(4096)), null);
+    assert.ok(Picotool.compareVersions("1.2.3", "v1.10") < 0);
+    assert.equal(Picotool.compareVersions("2.0", "2.0.0"), 0);
+    assert.ok(Picotool.compareVersions("1.24.0-preview", "1.24.0") < 0);
+    assert.ok(Picotool.compareVersions("v1.24.0", "1.24.0-preview") > 0);
+    assert.ok(Picotool.compareVersions("1.24.0-preview", "1.24.0-rc") < 0);
+    assert.equal(Picotool.compareVersions("1.24.0-preview", "v1.24.0-preview.123.g1234abc"), 0);
+    assert.ok(Picotool.compareVersions("1.24.0", "v1.24.0-preview.123.g1234abc") > 0);
+    assert.ok(Picotool.compareVersions("1.23.0", "v1.24.0-preview.123.g1234abc") < 0);
+    assert.equal(Picotool.compareVersions("1.23.0", "v1.23.0-12-gabcdef0"), 0);
+});
+
+
+// Minimal 32-bit little endian ELF with a PT_LOAD program header per `{address, data}` segment
+function elf(segments, machine=0x28, entry=0x10000101){
+    const headersSize = 52 + segments.length*32;
+    const image = new Uint8Array(headersSize + segments.reduce((total, segment) => total + segment.data.byteLength, 0));
+    const view  = new DataView(image.buffer);
+
+    image.set([0x7f, 0x45, 0x4c, 0x46, 1, 1, 1]);
+    view.setUint16(0x12, machine, true);
+    view.setUint32(0x18, entry, true);
+    view.setUint32(0x1c, 52, true);
+    view.setUint16(0x2a, 32, true);
+    view.setUint16(0x2c, segments.length, true);
+
+    let offset = headersSize;
+    segments.forEach(({address, data}, i) => {
+        const header = 52 + i*32;
+        view.setUint32(header+0,  1, true);                 // PT_LOAD
+        view.setUint32(header+4,  offset, true);
+        view.setUint32(header+8,  address, true);
+        view.setUint32(header+12, address, true);
+        view.setUint32(header+16, data.byteLength, true);
+        view.setUint32(header+20, data.byteLength, true);
+        image.set(data, offset);
+        offset += data.byteLength;
+    });
+
+    return image;
+}
+
+
+test("load accepts ELF and raw binaries and rejects data outside flash", async () => {
+    const {device, picotool} = setup();
+    const text = firmware(6000);
+    const data = firmware(300).reverse();
+
+    await picotool.load(elf([{address: PICOBOOT_MEMORY_MAP.FLASH_START, data: text},
+                             {address: PICOBOOT_MEMORY_MAP.FLASH_START + 0x2000, data}]));
+    assert.deepEqual(device.flash.subarray(0, text.byteLength), text);
+    assert.deepEqual(device.flash.subarray(0x2000, 0x2000 + data.byteLength), data);
+
+    const {device: binDevice, picotool: binPicotool} = setup();
+    await binPicotool.load(text, undefined, {address: PICOBOOT_MEMORY_MAP.FLASH_START + 0x10000});
+    assert.deepEqual(binDevice.flash.subarray(0x10000, 0x10000 + text.byteLength), text);
+
+    const {device: ramDevice, picotool: ramPicotool} = setup();
+    await assert.rejects(ramPicotool.load(elf([{address: PICOBOOT_MEMORY_MAP.SRAM_START, data}])), /use loadRam\(\)/);
+    await assert.rejects(ramPicotool.load(elf([{address: PICOBOOT_MEMORY_MAP.FLASH_START, data}], 0xf3)), /machine 0xf3/);
+    assert.equal(ramDevice.commandLog.filter(command => command.cmdId == 0x03).length, 0);
+});
+
+
+test("load reports progress by phase and stops cleanly when aborted", async () => {
+    const {device, picotool} = setup();
+    const binary = firmware(20 * 4096);
+    const uf2    = UF2.fromBinary(binary, PICOBOOT_MEMORY_MAP.FLASH_START, UF2_FAMILY_IDS.RP2040).toUint8Array();
+
+    let phases = [];
+    let verified = [];
+    const listener = (event) => {
+        phases.push(event.detail.phase);
+        if(event.detail.phase == "verify") verified.push(event.detail.bytesDone);
+    }
+    picotool.addEventListener("progress", listener);
+    let fractions = [];
+    await picotool.load(uf2, (fraction) => fractions.push(fraction), {verify: true});
+    picotool.removeEventListener("progress", listener);
+    assert.deepEqual([...new Set(phases)], ["connect", "erase", "write", "verify", "reboot"]);
+
+    // The callback rises once for writing and once more for verifying
+    const restarts = fractions.filter((fraction, i) => i > 0 && fraction < fractions[i-1]).length;
+    assert.equal(restarts, 1);
+    assert.equal(fractions.filter(fraction => fraction == 1).length, 2);
+
+    // Verify reads back sector by sector
+    assert.equal(device.commandLog.filter(command => command.cmdId == 0x84).length, 20);
+    assert.deepEqual(verified, Array.from({length: 21}, (_, i) => i * 4096));
+
+    const {device: verifying, picotool: verifyAborting} = setup();
+    const verifyController = new AbortController();
+    verifyAborting.addEventListener("progress", (event) => {
+        if(event.detail.phase == "verify" && event.detail.bytesDone == 5 * 4096){
+            verifyController.abort();
+        }
+    });
+
+    await assert.rejects(verifyAborting.load(uf2, undefined, {verify: true, signal: verifyController.signal}), {name: "AbortError"});
+    assert.equal(verifying.commandLog.filter(command => command.cmdId == 0x84).length, 5);
+    assert.equal(verifying.rebootedWith, null);
+
+    const {device: aborted, picotool: aborting} = setup();
+    const controller = new AbortController();
+    aborting.addEventListener("progress", (event) => {
+        if(event.detail.phase == "write" && event.detail.bytesDone > 0){
+            controller.abort();
+        }
+    });
+
+    await assert.rejects(aborting.load(uf2, undefined, {signal: controller.signal}), {name: "AbortError"});
+    assert.equal(aborted.commandLog.filter(command => command.cmdId == 0x05).length, 1);
+    assert.equal(aborted.exclusive, 0);
+    assert.equal(aborted.rebootedWith, null);
+    assert.equal(aborted.attached, true);
+    assert.deepEqual(device.flash.subarray(0, binary.byteLength), binary);
+});
+
+
+test("load copies to the BOOTSEL drive when the device can't be claimed", async () => {
+    const {device, picotool} = setup({claimError: "Unable to claim interface."});
+    const uf2 = new UF2([...UF2.fromBinary(firmware(1000), PICOBOOT_MEMORY_MAP.FLASH_START, UF2_FAMILY_IDS.RP2040).blocks,
+                         ...UF2.fromBinary(firmware(600), PICOBOOT_MEMORY_MAP.FLASH_START, UF2_FAMILY_IDS.RP2350_ARM_S).blocks]);
+
+    // Without a fallback the claim failure is passed on
+    await assert.rejects(picotool.load(uf2.toUint8Array()), {name: "PicobootClaimError"});
+
+    let phases = [];
+    picotool.addEventListener("progress", (event) => phases.push(event.detail.phase));
+
+    const drive = simulatedBootselDrive("RP2040");
+    await picotool.load(uf2.toUint8Array(), undefined, {driveFallback: async () => drive});
+
+    // Only the RP2040 blocks are copied, renumbered as a file of their own
+    const copied = UF2.parse(drive.files.get("firmware.uf2").data);
+    assert.deepEqual(copied.familyIds(), [UF2_FAMILY_IDS.RP2040]);
+    assert.equal(copied.blocks.length, 4);
+    assert.deepEqual([...new Set(phases)], ["connect", "write", "reboot"]);
+    assert.equal(device.commandLog.length, 0);
+
+    // Drives that aren't BOOTSEL drives or are for another chip are rejected before writing
+    const usbStick = new SimulatedDirectoryHandle("USB STICK");
+    await assert.rejects(picotool.loadDrive(usbStick, uf2.toUint8Array()), /not a BOOTSEL drive/);
+    assert.equal(usbStick.files.size, 0);
+
+    const rp2040Only = UF2.fromBinary(firmware(1000), PICOBOOT_MEMORY_MAP.FLASH_START, UF2_FAMILY_IDS.RP2040).toUint8Array();
+    const rp2350     = simulatedBootselDrive("RP2350");
+    await assert.rejects(picotool.loadDrive(rp2350, rp2040Only), /no blocks for the RP2350 drive/);
+    assert.equal(rp2350.files.has("firmware.uf2"), false);
+});
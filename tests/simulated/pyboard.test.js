@@ -0,0 +1,295 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import Serial from "../../serial.js";
+import Pyboard, {PyboardException, PyboardTimeoutError, ReplSession} from "../../pyboard.js";
+import {SimulatedMicroPython, SimulatedSerialPort, SimulatedSerial, installSimulatedSerial} from "./serial.js";
+import {SimulatedDirectoryHandle} from "./filesystem.js";
+
+
+// Connects a `Pyboard` to a freshly booted simulated board
+async function connect(options={}){
+    const device = new SimulatedMicroPython(options);
+    installSimulatedSerial(new SimulatedSerial([new SimulatedSerialPort(device)]));
+
+    const serial = new Serial();
+    await serial.connect();
+
+    return {device, serial, pyboard: new Pyboard(serial)};
+}
+
+
+function sleep(ms){
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+
+test("transfers files through raw-paste flow control", async () => {
+    const {device, serial, pyboard} = await connect({files: {"/main.py": "print('hello')\n"}, windowSize: 32});
+    const data = new Uint8Array(5000).map((_, i) => (i * 31) & 0xff);
+
+    await pyboard.enterRawRepl();
+    await pyboard.mkdir("/lib");
+    await pyboard.put("/lib/data.bin", data);
+    assert.deepEqual(device.files.get("/lib/data.bin"), data);
+    assert.deepEqual(await pyboard.get("/lib/data.bin"), data);
+    assert.equal(new TextDecoder().decode(await pyboard.get("/main.py")), "print('hello')\n");
+
+    assert.deepEqual(await pyboard.ls("/"), [
+        {name: "lib",     isDir: true,  size: 0},
+        {name: "main.py", isDir: false, size: 15}
+    ]);
+
+    await pyboard.rm("/lib/data.bin");
+    assert.equal(await pyboard.exists("/lib/data.bin"), false);
+    await assert.rejects(pyboard.get("/missing.py"), /ENOENT/);
+
+    await pyboard.exitRawRepl();
+    await serial.disconnect();
+});
+
+
+test("copies, renames and removes directory trees", async () => {
+    const {device, serial, pyboard} = await connect({files: {"/data/log.txt": "a"}});
+    const decoded = (files) => Object.fromEntries(Object.entries(files).map(([path, data]) => [path, new TextDecoder().decode(data)]));
+
+    await pyboard.enterRawRepl();
+    await pyboard.mkdirs("/data/cache/tmp");
+    await pyboard.mkdirs("/data/cache");       // Existing directories are fine
+    assert.ok(device.dirs.has("/data/cache/tmp"));
+    await assert.rejects(pyboard.mkdir("/data"), /EEXIST/);
+
+    let fractions = [];
+    await pyboard.putDir({"main.py": "import app\n", "app/__init__.py": "", "app/ui/screen.py": "W = 128\n"}, "/src", fraction => fractions.push(fraction));
+    assert.equal(fractions.at(-1), 1);
+    assert.deepEqual(decoded(await pyboard.getDir("/src")), {"main.py": "import app\n", "app/__init__.py": "", "app/ui/screen.py": "W = 128\n"});
+
+    await pyboard.rename("/src/app", "/src/lib");
+    await pyboard.rename("/src/main.py", "/main.py");
+    assert.deepEqual(Object.keys(await pyboard.getDir("/src")).sort(), ["lib/__init__.py", "lib/ui/screen.py"]);
+    assert.equal(await pyboard.exists("/main.py"), true);
+    await assert.rejects(pyboard.rename("/missing.py", "/other.py"), /ENOENT/);
+
+    await assert.rejects(pyboard.rmdir("/src"), /ENOTEMPTY/);
+    await pyboard.rmdir("/data/cache/tmp");
+    assert.equal(await pyboard.exists("/data/cache/tmp"), false);
+
+    await pyboard.rmTree("/src");
+    assert.equal(await pyboard.exists("/src"), false);
+    assert.deepEqual([...device.files.keys()].sort(), ["/data/log.txt", "/main.py"]);
+
+    await pyboard.exitRawRepl();
+    await serial.disconnect();
+});
+
+
+test("falls back to the raw REPL when raw-paste isn't supported", async () => {
+    const {device, serial, pyboard} = await connect({rawPaste: false});
+
+    await pyboard.enterRawRepl();
+    await pyboard.put("/boot.py", "import machine\n");
+    assert.equal(new TextDecoder().decode(device.files.get("/boot.py")), "import machine\n");
+    assert.equal(await pyboard.eval("6 * 7"), "42");
+
+    await pyboard.exitRawRepl();
+    await serial.disconnect();
+});
+
+
+test("streams output and parses tracebacks", async () => {
+    const {serial, pyboard} = await connect();
+    let chunks = [];
+
+    await pyboard.enterRawRepl();
+    const result = await pyboard.run("print('first')\nprint(1 + 1)\nraise ValueError('bad value')", {onStdout: (text) => chunks.push(text)});
+
+    assert.equal(result.stdout, "first\r\n2\r\n");
+    assert.equal(chunks.join(""), result.stdout);
+    assert.ok(result.exception instanceof PyboardException);
+    assert.equal(result.exception.type, "ValueError");
+    assert.equal(result.exception.value, "bad value");
+    assert.deepEqual(result.exception.frames, [{file: "<stdin>", line: 3, function: "<module>"}]);
+
+    await pyboard.exitRawRepl();
+    await serial.disconnect();
+});
+
+
+test("times out stuck code and recovers for the next queued operation", async () => {
+    const {device, serial, pyboard} = await connect();
+
+    await pyboard.enterRawRepl();
+    pyboard.timeout = 300;
+    const stuck = pyboard.exec("while True:\n    pass");
+    const next  = pyboard.eval("1 + 2");
+
+    await assert.rejects(stuck, PyboardTimeoutError);
+    assert.equal(await next, "3");
+    assert.equal(device.state, "raw");
+
+    pyboard.timeout = Infinity;
+    await pyboard.exitRawRepl();
+    await serial.disconnect();
+});
+
+
+test("reads the device info", async () => {
+    const {serial, pyboard} = await connect({version: "1.23.0", files: {"/lib/ssd1306.py": "", "/lib/umqtt/simple.py": ""}});
+
+    await pyboard.enterRawRepl();
+    const info = await pyboard.deviceInfo();
+
+    assert.equal(info.implementation.name, "micropython");
+    assert.equal(info.uname.release, "1.23.0");
+    assert.equal(info.uniqueId, "E660583883AB1234");
+    assert.ok(info.modules.builtin.includes("machine"));
+    assert.deepEqual(info.modules.installed, ["ssd1306", "umqtt"]);
+
+    await pyboard.exitRawRepl();
+    await serial.disconnect();
+});
+
+
+test("REPL sessions echo, keep history and hand the port over to operations", async () => {
+    const {serial, pyboard} = await connect();
+    const session = new ReplSession(pyboard);
+    let output = "";
+    session.addEventListener("output", (event) => output += event.detail);
+
+    session.start();
+    await session.sendLine("print(40 + 2)");
+    await sleep(50);
+    assert.match(output, /print\(40 \+ 2\)\r\n42\r\n>>> $/);
+    assert.deepEqual(session.history, ["print(40 + 2)"]);
+
+    assert.equal(await session.historyPrevious(), "print(40 + 2)");
+    await session.write("\r");
+    await sleep(50);
+    assert.match(output, /42\r\n>>> print\(40 \+ 2\)\r\n42\r\n>>> $/);
+
+    const files = await session.run(async (pyboard) => {
+        await pyboard.enterRawRepl(false);
+        return await pyboard.ls("/");
+    });
+    assert.deepEqual(files, []);
+
+    output = "";
+    await session.sendLine("1 + 1");
+    await sleep(50);
+    assert.match(output, /1 \+ 1\r\n2\r\n>>> $/);
+
+    session.stop();
+    await serial.disconnect();
+});
+
+
+test("operations called directly suspend running REPL sessions", async () => {
+    const {device, serial, pyboard} = await connect({files: {"/main.py": "print('hello')\n"}});
+    const session = pyboard.repl();
+    let output = "";
+    session.addEventListener("output", (event) => output += event.detail);
+
+    // E.g. a file panel using the board while the terminal is open
+    await pyboard.enterRawRepl(false);
+    const typed = session.sendLine("2 + 3");
+    assert.deepEqual(await pyboard.ls("/"), [{name: "main.py", isDir: false, size: 15}]);
+    await pyboard.put("/boot.py", "import machine\n");
+    assert.equal(output, "");
+    await pyboard.exitRawRepl();
+
+    await typed;
+    await sleep(50);
+    assert.equal(new TextDecoder().decode(device.files.get("/boot.py")), "import machine\n");
+    assert.match(output, /^\r\nMicroPython v1\.24\.0 .*\r\n>>> 2 \+ 3\r\n5\r\n>>> $/s);
+
+    session.stop();
+    await serial.disconnect();
+});
+
+
+test("REPL sessions started during an operation wait for it to finish", async () => {
+    const {serial, pyboard} = await connect();
+
+    const entering = pyboard.enterRawRepl();
+    await sleep(10);
+    const session = pyboard.repl();
+    let output = "";
+    session.addEventListener("output", (event) => output += event.detail);
+    const typed = session.sendLine("4 * 4");
+
+    await entering;
+    assert.equal(output, "");
+    assert.equal(await pyboard.eval("2 ** 10"), "1024");
+    await pyboard.exitRawRepl();
+
+    await typed;
+    await sleep(50);
+    assert.match(output, /^\r\nMicroPython v1\.24\.0 .*\r\n>>> 4 \* 4\r\n16\r\n>>> $/s);
+
+    session.stop();
+    await serial.disconnect();
+});
+
+
+test("sync only uploads what changed", async () => {
+    const {device, serial, pyboard} = await connect({files: {
+        "/app/main.py":     "print(1)\n",
+        "/app/lib/util.py": "x = 1\n",
+        "/app/conf.json":   "{}",
+        "/app/old.py":      "pass\n"
+    }});
+    const local = {
+        "main.py":     "print('changed size')\n",
+        "lib/util.py": "x = 2\n",
+        "conf.json":   "{}",
+        "new.py":      "import lib.util\n"
+    };
+    const text = (path) => new TextDecoder().decode(device.files.get(path));
+    const hashes = () => device.executed.filter(code => code.includes("hashlib")).length;
+
+    await pyboard.enterRawRepl();
+
+    // Files of a different size aren't hashed
+    const plan = await pyboard.syncPlan(local, "/app");
+    assert.deepEqual(plan.upload, [
+        {path: "main.py",     reason: "changed"},
+        {path: "lib/util.py", reason: "changed"},
+        {path: "new.py",      reason: "new"}
+    ]);
+    assert.deepEqual(plan.unchanged, ["conf.json"]);
+    assert.deepEqual(plan.remove, []);
+    assert.equal(hashes(), 2);
+
+    let planned = null;
+    const cancelled = await pyboard.sync(local, "/app", {deleteStale: true, onPlan: (plan) => {
+        planned = plan;
+        return false;
+    }});
+    assert.equal(cancelled.cancelled, true);
+    assert.deepEqual(planned.remove, ["old.py"]);
+    assert.equal(text("/app/lib/util.py"), "x = 1\n");
+    assert.equal(text("/app/old.py"), "pass\n");
+
+    // Same files from a picked directory
+    const directory = new SimulatedDirectoryHandle("app", {
+        "main.py":   local["main.py"],
+        "lib":       {"util.py": local["lib/util.py"]},
+        "conf.json": local["conf.json"],
+        "new.py":    local["new.py"]
+    });
+    const synced = await pyboard.sync(directory, "/app", {deleteStale: true});
+    assert.equal(synced.cancelled, false);
+    assert.deepEqual(synced.upload.map(({path}) => path).sort(), ["lib/util.py", "main.py", "new.py"]);
+    assert.deepEqual([...device.files.keys()].filter(path => path.startsWith("/app/")).sort(),
+                     ["/app/conf.json", "/app/lib/util.py", "/app/main.py", "/app/new.py"]);
+    assert.equal(text("/app/main.py"), "print('changed size')\n");
+    assert.equal(text("/app/lib/util.py"), "x = 2\n");
+
+    const again = await pyboard.syncPlan(directory, "/app", true);
+    assert.deepEqual(again.upload, []);
+    assert.deepEqual(again.remove, []);
+    assert.deepEqual(again.unchanged.sort(), ["conf.json", "lib/util.py", "main.py", "new.py"]);
+
+    await pyboard.exitRawRepl();
+    await serial.disconnect();
+});
@@ -0,0 +1,795 @@
+// In-memory stand-ins for `navigator.serial` and `SerialPort` with a scripted MicroPython
+// REPL behind them, so `serial.js` and `pyboard.js` can be tested under Node without a
+// board. The REPL follows what MicroPython's pyexec.c does closely enough for testing:
+// * https://docs.micropython.org/en/latest/reference/repl.html
+// * https://github.com/micropython/micropython/blob/master/shared/runtime/pyexec.c
+//
+// There's no Python interpreter. Code is matched against handlers (see `script()`), which
+// know the snippets `pyboard.js` sends and work on an in-memory filesystem. Anything else
+// is run line by line, only understanding `print()` of literals and arithmetic, `raise`,
+// `while True:` (runs until interrupted) and imports. Everything else raises NotImplementedError
+
+import {createHash} from "node:crypto";
+
+
+// Exception raised by simulated code, becomes a traceback on stderr
+export class SimulatedPythonError extends Error{
+    constructor(type, message=""){
+        super(type + ": " + message);
+        this.type = type;
+        this.value = message;
+        this.line = 1;
+        this.stdout = "";       // What the code printed before raising
+    }
+
+
+    static os(errno, name){
+        return new SimulatedPythonError("OSError", "[Errno " + errno + "] " + name);
+    }
+}
+
+
+const ENOENT = () => SimulatedPythonError.os(2, "ENOENT");
+const EEXIST = () => SimulatedPythonError.os(17, "EEXIST");
+const EISDIR = () => SimulatedPythonError.os(21, "EISDIR");
+const ENOTEMPTY = () => SimulatedPythonError.os(39, "ENOTEMPTY");
+
+const MODE_DIR  = 0x4000;
+const MODE_FILE = 0x8000;
+
+const BUILD_DATE = "2024-10-25";
+
+// What `help("modules")` lists on the rp2 port
+const BUILTIN_MODULES = [
+    "__main__", "_asyncio", "_boot", "_boot_fat", "_onewire", "_rp2", "_thread", "array",
+    "asyncio/__init__", "asyncio/core", "asyncio/event", "asyncio/funcs", "asyncio/lock",
+    "asyncio/stream", "binascii", "builtins", "cmath", "collections", "cryptolib", "deflate",
+    "dht", "ds18x20", "errno", "framebuf", "gc", "hashlib", "heapq", "io", "json", "machine",
+    "math", "micropython", "neopixel", "onewire", "os", "platform", "random", "re", "rp2",
+    "select", "struct", "sys", "time", "uctypes", "vfs"
+];
+
+// What the `machine.bootloader()` handler returns, the board leaves the USB bus
+const BOOTLOADER = Symbol("BOOTLOADER");
+
+// Quoted Python string literal (`pyboard.js` quotes with JSON)
+const STRING = String.raw`("(?:[^"\\]|\\.)*")`;
+
+
+// https://github.com/micropython/micropython/blob/master/shared/runtime/pyexec.c
+// The board: feed it host bytes with `receive()`, it answers through `onoutput`
+export class SimulatedMicroPython{
+    // Sentinel a handler returns for code that never finishes by itself
+    static RUNS_FOREVER = Symbol("RUNS_FOREVER");
+
+    #input    = [];         // Bytes of the line/code being received
+    #received = 0;          // Bytes received in the current raw-paste window
+    #escape   = 0;          // 1 right after ESC, 2 inside an escape sequence (friendly REPL)
+    #lastByte = null;       // Previous byte in paste mode, "\r\n" is one line break
+    #running  = null;       // `{mode, line, stdout}` of code running until interrupted
+    #handlers = [];         // Custom handlers from `script()`, checked before the built-in ones
+    #file     = null;       // `{path, offset}` of the file the code has open as `f`
+
+    // Options:
+    // * version:        MicroPython version (e.g. "1.24.0")
+    // * machine:        Board and chip, as in the banner and `sys.implementation._machine`
+    // * uniqueId:       `machine.unique_id()` as upper case hex (also the BOOTSEL serial number)
+    // * files:          Initial filesystem, object of absolute path -> contents (string or bytes)
+    // * filesystemSize: Bytes `os.statvfs("/")` reports in total
+    // * rawPaste:       If raw-paste mode is supported, defaults to `true`
+    // * windowSize:     Raw-paste flow control window, defaults to 128 like the firmware
+    // * chunkSize:      Output is sent in pieces of at most this many bytes, defaults to 64
+    constructor(options={}){
+        this.version        = options.version ?? "1.24.0";
+        this.machine        = options.machine ?? "Raspberry Pi Pico with RP2040";
+        this.uniqueId       = options.uniqueId ?? "E660583883AB1234";
+        this.filesystemSize = options.filesystemSize ?? 848 * 1024;
+        this.rawPaste       = options.rawPaste ?? true;
+        this.windowSize     = options.windowSize ?? 128;
+        this.chunkSize      = options.chunkSize ?? 64;
+
+        this.files = new Map();     // Absolute path -> `Uint8Array`
+        this.dirs  = new Set(["/"]);
+        Object.entries(options.files ?? {}).forEach(([path, data]) => this.addFile(path, data));
+
+        // Called with each piece of output (`Uint8Array`), `SimulatedSerialPort` sets it
+        this.onoutput = null;
+
+        // Called when the code runs `machine.bootloader()`, `SimulatedSerial` uses it to detach the port
+        this.onbootloader = null;
+
+        // Every piece of code the host ran, handy for asserting on in tests
+        this.executed = [];
+
+        this.powerOn();
+    }
+
+
+    // Resets what a reset would (the filesystem is kept). Like a board that was just plugged
+    // in, the banner went out before anything was listening
+    powerOn(){
+        this.state     = "friendly";   // "friendly", "paste", "raw", "raw-ctrl-e", "raw-ctrl-e-a", "raw-paste", "running" or "off"
+        this.#input    = [];
+        this.#received = 0;
+        this.#escape   = 0;
+        this.#lastByte = null;
+        this.#running  = null;
+        this.#file     = null;
+        this.softResets = 0;
+    }
+
+
+    // Adds a file (and its parent directories) to the filesystem
+    addFile(path, data){
+        path = this.#path(path);
+        this.files.set(path, typeof data == "string" ? new TextEncoder().encode(data) : new Uint8Array(data));
+
+        for(let parent=this.#parent(path); parent != "/"; parent=this.#parent(parent)){
+            this.dirs.add(parent);
+        }
+    }
+
+
+    // Runs `handler(match, code)` for code matching `pattern` (a `RegExp`) instead of the built-in
+    // handling. It returns what the code prints (or `RUNS_FOREVER`) and can throw `SimulatedPythonError`
+    script(pattern, handler){
+        this.#handlers.unshift({pattern, handler});
+    }
+
+
+    #output(data){
+        const bytes = typeof data == "string" ? new TextEncoder().encode(data) : data;
+
+        for(let offset=0; offset<bytes.byteLength; offset+=this.chunkSize){
+            this.onoutput?.(bytes.slice(offset, offset+this.chunkSize));
+        }
+    }
+
+
+    // Program output has "\n" turned into "\r\n" like on the device
+    #cooked(text){
+        return text.replace(/\r?\n/g, "\r\n");
+    }
+
+
+    #banner(){
+        return "MicroPython v" + this.version + " on " + BUILD_DATE + "; " + this.machine + "\r\n" +
+               "Type \"help()\" for more information.\r\n>>> ";
+    }
+
+
+    // Handles bytes from the host
+    receive(bytes){
+        for(const byte of bytes){
+            switch(this.state){
+                case "friendly":     this.#friendly(byte); break;
+                case "paste":        this.#paste(byte); break;
+                case "raw":          this.#raw(byte); break;
+                case "raw-ctrl-e":   this.#rawCtrlE(byte, 0x41, "raw-ctrl-e-a"); break;
+                case "raw-ctrl-e-a": this.#rawCtrlE(byte, 0x01, null); break;
+                case "raw-paste":    this.#rawPaste(byte); break;
+                case "running":      this.#interrupt(byte); break;
+            }
+        }
+    }
+
+
+    // https://docs.micropython.org/en/latest/reference/repl.html#control-commands
+    #friendly(byte){
+        // Escape sequences (arrow keys) would move around the line, they're just skipped.
+        // The byte after ESC is "[" or "O", the sequence ends with a byte in 0x40-0x7e
+        if(this.#escape == 1){
+            this.#escape = 2;
+            return;
+        }else if(this.#escape == 2){
+            if(byte >= 0x40 && byte <= 0x7e){
+                this.#escape = 0;
+            }
+            return;
+        }
+
+        if(byte == 0x01){           // ctrl-A: raw REPL
+            this.#input = [];
+            this.state  = "raw";
+            this.#output("\r\nraw REPL; CTRL-B to exit\r\n>");
+        }else if(byte == 0x02){     // ctrl-B: banner again
+            this.#input = [];
+            this.#output("\r\n" + this.#banner());
+        }else if(byte == 0x03){     // ctrl-C: throw the line away
+            this.#input = [];
+            this.#output("\r\n>>> ");
+        }else if(byte == 0x04){     // ctrl-D: soft reset on an empty line
+            if(this.#input.length == 0){
+                this.#softReset();
+                this.#output("\r\nMPY: soft reboot\r\n" + this.#banner());
+            }
+        }else if(byte == 0x05){     // ctrl-E: paste mode
+            this.#input = [];
+            this.state  = "paste";
+            this.#output("\r\npaste mode; Ctrl-C to cancel, Ctrl-D to finish\r\n=== ");
+        }else if(byte == 0x1b){
+            this.#escape = 1;
+        }else if(byte == 0x7f || byte == 0x08){
+            if(this.#input.length > 0){
+                this.#input.pop();
+                this.#output("\b \b");
+            }
+        }else if(byte == 0x0d){
+            this.#output("\r\n");
+            this.#run("friendly");
+        }else if(byte >= 0x20){
+            this.#input.push(byte);
+            this.#output(new Uint8Array([byte]));
+        }
+    }
+
+
+    #paste(byte){
+        if(byte == 0x03){
+            this.#input = [];
+            this.state  = "friendly";
+            this.#output("\r\n>>> ");
+        }else if(byte == 0x04){
+            this.#output("\r\n");
+            this.#run("paste");
+        }else if(byte == 0x0d || (byte == 0x0a && this.#lastByte != 0x0d)){
+            this.#input.push(0x0a);
+            this.#output("\r\n=== ");
+        }else if(byte != 0x0a){
+            this.#input.push(byte);
+            this.#output(new Uint8Array([byte]));
+        }
+
+        this.#lastByte = byte;
+    }
+
+
+    #raw(byte){
+        if(byte == 0x01){           // ctrl-A: start over
+            this.#input = [];
+            this.#output("raw REPL; CTRL-B to exit\r\n>");
+        }else if(byte == 0x02){     // ctrl-B: friendly REPL
+            this.#input = [];
+            this.state  = "friendly";
+            this.#output("\r\n" + this.#banner());
+        }else if(byte == 0x03){     // ctrl-C: throw the code away
+            this.#input = [];
+        }else if(byte == 0x04){     // ctrl-D: run the code, or soft reset if there isn't any
+            if(this.#input.length == 0){
+                this.#softReset();
+                this.#output("\r\nMPY: soft reboot\r\nraw REPL; CTRL-B to exit\r\n>");
+            }else{
+                this.#output("OK");
+                this.#run("raw");
+            }
+        }else if(byte == 0x05 && this.#input.length == 0){
+            this.state = "raw-ctrl-e";
+        }else{
+            this.#input.push(byte);
+        }
+    }
+
+
+    // Raw-paste mode is asked for with "\x05A\x01", anything else was just code
+    #rawCtrlE(byte, expected, next){
+        if(byte != expected){
+            this.#input.push(0x05, ...(expected == 0x01 ? [0x41] : []), byte);
+            this.state = "raw";
+            return;
+        }
+
+        if(next !== null){
+            this.state = next;
+        }else if(!this.rawPaste){
+            this.state = "raw";
+            this.#output("R\x00");
+        }else{
+            this.state     = "raw-paste";
+            this.#received = 0;
+            this.#output(new Uint8Array([0x52, 0x01, this.windowSize & 0xff, this.windowSize >> 8]));
+        }
+    }
+
+
+    // Flow control: the host may send a window's worth, 0x01 says there's room for another
+    #rawPaste(byte){
+        if(byte == 0x04){
+            this.#output("\x04");
+            this.#run("raw");
+            return;
+        }
+
+        this.#input.push(byte);
+        this.#received += 1;
+
+        if(this.#received == this.windowSize){
+            this.#received = 0;
+            this.#output("\x01");
+        }
+    }
+
+
+    // Only ctrl-C gets through to code that's running
+    #interrupt(byte){
+        if(byte != 0x03){
+            return;
+        }
+
+        const {mode, line, stdout} = this.#running;
+        this.#running = null;
+
+        const error = new SimulatedPythonError("KeyboardInterrupt");
+        error.line = line;
+        this.#finish(mode, stdout, this.#traceback(error));
+    }
+
+
+    #softReset(){
+        this.#file = null;
+        this.softResets += 1;
+    }
+
+
+    // Runs the code received so far, `mode` is where it came from ("friendly", "paste" or "raw")
+    #run(mode){
+        const code  = new TextDecoder().decode(new Uint8Array(this.#input));
+        this.#input = [];
+        this.executed.push(code);
+
+        let result = null;
+        try{
+            result = this.#execute(code, mode == "friendly");
+        }catch(error){
+            if(!(error instanceof SimulatedPythonError)){
+                throw error;
+            }
+
+            result = {stdout: error.stdout, stderr: this.#traceback(error)};
+        }
+
+        if(result.bootloader){
+            // The USB connection goes away straight after
+            this.state = "off";
+            setTimeout(() => this.onbootloader?.(), 0);
+        }else if(result.forever){
+            this.state    = "running";
+            this.#running = {mode, line: result.line, stdout: result.stdout};
+        }else{
+            this.#finish(mode, result.stdout, result.stderr ?? "");
+        }
+    }
+
+
+    // Sends the output of finished code followed by the prompt for `mode`
+    #finish(mode, stdout, stderr){
+        if(mode == "raw"){
+            this.state = "raw";
+            this.#output(this.#cooked(stdout) + "\x04" + this.#cooked(stderr) + "\x04>");
+        }else{
+            this.state = "friendly";
+            this.#output(this.#cooked(stdout + stderr) + ">>> ");
+        }
+    }
+
+
+    #traceback(error){
+        return "Traceback (most recent call last):\n" +
+               "  File \"<stdin>\", line " + error.line + ", in <module>\n" +
+               error.type + ": " + error.value + "\n";
+    }
+
+
+    // Returns `{stdout, stderr, forever, bootloader, line}`, throws `SimulatedPythonError`
+    #execute(code, friendly){
+        for(const {pattern, handler} of [...this.#handlers, ...this.#builtins()]){
+            const match = code.match(pattern);
+            if(match === null){
+                continue;
+            }
+
+            try{
+                const stdout = handler(match, code);
+                if(stdout === SimulatedMicroPython.RUNS_FOREVER){
+                    return {stdout: "", forever: true, line: 1};
+                }else if(stdout === BOOTLOADER){
+                    return {stdout: "", bootloader: true};
+                }
+
+                return {stdout: stdout ?? ""};
+            }catch(error){
+                if(error instanceof SimulatedPythonError){
+                    error.line = code.slice(0, match.index).split("\n").length;
+                }
+                throw error;
+            }
+        }
+
+        return this.#interpret(code, friendly);
+    }
+
+
+    // Evaluates a literal or arithmetic, throws for anything else
+    #evaluate(expression){
+        expression = expression.trim();
+
+        const string = expression.match(/^(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)')$/);
+        if(string !== null){
+            return JSON.parse("\"" + (string[1] ?? string[2].replace(/"/g, "\\\"")) + "\"");
+        }
+
+        if(/^[\d\s+\-*/%().]+$/.test(expression)){
+            try{
+                return Function("return (" + expression.replace(/\/\//g, "/") + ")")();
+            }catch(error){
+                throw new SimulatedPythonError("SyntaxError", "invalid syntax");
+            }
+        }
+
+        throw new SimulatedPythonError("NotImplementedError", "simulated REPL can't evaluate " + JSON.stringify(expression));
+    }
+
+
+    // Python `repr()` of what `#evaluate()` returns
+    #repr(value){
+        return typeof value == "string" ? "'" + value.replace(/'/g, "\\'") + "'" : String(value);
+    }
+
+
+    // Runs code line by line for the little that's understood (see the top of this file)
+    #interpret(code, friendly){
+        let stdout = "";
+        const lines = code.split("\n");
+
+        for(let i=0; i<lines.length; i++){
+            const line = lines[i].trim();
+
+            try{
+                if(line.length == 0 || line.startsWith("#") || /^(import|from) /.test(line)){
+                    continue;
+                }else if(/^while (True|1)\s*:/.test(line)){
+                    return {stdout, forever: true, line: i+1};
+                }
+
+                const print = line.match(/^print\((.*)\)$/);
+                const raise = line.match(/^raise (\w+)(?:\((.*)\))?$/);
+
+                if(print !== null){
+                    stdout += (print[1].trim().length == 0 ? "" : String(this.#evaluate(print[1]))) + "\n";
+                }else if(raise !== null){
+                    throw new SimulatedPythonError(raise[1], raise[2] ? String(this.#evaluate(raise[2])) : "");
+                }else if(friendly){
+                    // The friendly REPL prints what expressions evaluate to
+                    stdout += this.#repr(this.#evaluate(line)) + "\n";
+                }else{
+                    throw new SimulatedPythonError("NotImplementedError", "simulated REPL can't run " + JSON.stringify(line));
+                }
+            }catch(error){
+                if(error instanceof SimulatedPythonError){
+                    error.line   = i+1;
+                    error.stdout = stdout;
+                }
+                throw error;
+            }
+        }
+
+        return {stdout};
+    }
+
+
+    // Normalises a device path to an absolute one without a trailing "/"
+    #path(path){
+        const normalised = ("/" + path).replace(/\/+/g, "/").replace(/\/$/, "");
+        return normalised.length == 0 ? "/" : normalised;
+    }
+
+
+    #parent(path){
+        const parent = path.slice(0, path.lastIndexOf("/"));
+        return parent.length == 0 ? "/" : parent;
+    }
+
+
+    #children(dir){
+        const prefix = dir == "/" ? "/" : dir + "/";
+        const direct = (path) => path.startsWith(prefix) && path != dir && !path.slice(prefix.length).includes("/");
+
+        return [...[...this.dirs].filter(direct), ...[...this.files.keys()].filter(direct)].sort();
+    }
+
+
+    #stat(path){
+        if(this.dirs.has(path)){
+            return [MODE_DIR, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+        }else if(this.files.has(path)){
+            const size = this.files.get(path).byteLength;
+            return [MODE_FILE, 0, 0, 0, 0, 0, size, 0, 1700000000, 1700000000];
+        }
+
+        throw ENOENT();
+    }
+
+
+    // The code `pyboard.js` sends, in the order they're tried
+    #builtins(){
+        const literal = (string) => this.#path(JSON.parse(string));
+
+        return [
+            // `hash()`, before `get()` since it opens the file the same way
+            {pattern: new RegExp("hashlib[\\s\\S]*f=open\\(" + STRING + ",'rb'\\)"), handler: (match) => {
+                const path = literal(match[1]);
+                if(this.dirs.has(path)) throw EISDIR();
+                if(!this.files.has(path)) throw ENOENT();
+
+                return createHash("sha256").update(this.files.get(path)).digest("hex") + "\n";
+            }},
+
+            // `deviceInfo()`
+            {pattern: /help\('modules'\)/, handler: () => {
+                const used       = [...this.files.values()].reduce((sum, data) => sum + Math.ceil(data.byteLength/4096)*4096, 0);
+                const free       = Math.max(0, this.filesystemSize - used);
+                const installed  = this.dirs.has("/lib") ? this.#children("/lib").map(path => path.slice(5).replace(/\.m?py$/, "")) : [];
+                const [major, minor, micro] = this.version.split(/[.-]/).map(Number);
+                const info = [
+                    "micropython", [major, minor, micro, ""], this.machine, 0x1006, "3.4.0; MicroPython v" + this.version + " on " + BUILD_DATE,
+                    ["rp2", "rp2", this.version, "v" + this.version + " on " + BUILD_DATE, this.machine],
+                    this.uniqueId, 125000000, 180000, 12000, [this.filesystemSize, free], installed
+                ];
+
+                // `help("modules")` lists the names in columns
+                let columns = [];
+                for(let i=0; i<BUILTIN_MODULES.length; i+=4){
+                    columns.push(BUILTIN_MODULES.slice(i, i+4).map(name => name.padEnd(18)).join("").trimEnd());
+                }
+
+                return JSON.stringify(info) + "\n" + columns.join("\n") + "\nPlus any modules on the filesystem\n";
+            }},
+
+            {pattern: /machine\.bootloader\(\)/, handler: () => BOOTLOADER},
+
+            // `ls()`
+            {pattern: new RegExp("os\\.ilistdir\\(" + STRING + "\\)"), handler: (match) => {
+                const path = literal(match[1]);
+                if(!this.dirs.has(path)) throw ENOENT();
+
+                return JSON.stringify(this.#children(path).map(child => {
+                    const stat = this.#stat(child);
+                    return [child.slice(child.lastIndexOf("/")+1), stat[0], stat[6]];
+                })) + "\n";
+            }},
+
+            // `stat()`
+            {pattern: new RegExp("os\\.stat\\(" + STRING + "\\)"), handler: (match) => {
+                return JSON.stringify(this.#stat(literal(match[1]))) + "\n";
+            }},
+
+            // `get()`/`put()` open the file as `f`, then read/write it in chunks and close it
+            {pattern: new RegExp("^(?:from binascii import \\w+\\n)?f=open\\(" + STRING + ",'(rb|wb)'\\)$"), handler: (match) => {
+                const path = literal(match[1]);
+                if(this.dirs.has(path)) throw EISDIR();
+
+                if(match[2] == "rb"){
+                    if(!this.files.has(path)) throw ENOENT();
+                }else{
+                    if(!this.dirs.has(this.#parent(path))) throw ENOENT();
+                    this.files.set(path, new Uint8Array(0));
+                }
+
+                this.#file = {path, offset: 0};
+            }},
+
+            {pattern: /^print\(b2a_base64\(f\.read\((\d+)\)\)\.decode\(\),end=''\)$/, handler: (match) => {
+                if(this.#file === null) throw new SimulatedPythonError("NameError", "name 'f' isn't defined");
+
+                const data  = this.files.get(this.#file.path);
+                const chunk = data.subarray(this.#file.offset, this.#file.offset + parseInt(match[1]));
+                this.#file.offset += chunk.byteLength;
+
+                return Buffer.from(chunk).toString("base64") + "\n";
+            }},
+
+            {pattern: new RegExp("^print\\(f\\.write\\(a2b_base64\\(" + STRING + "\\)\\)\\)$"), handler: (match) => {
+                if(this.#file === null) throw new SimulatedPythonError("NameError", "name 'f' isn't defined");
+
+                const chunk = new Uint8Array(Buffer.from(JSON.parse(match[1]), "base64"));
+                const data  = this.files.get(this.#file.path);
+                const grown = new Uint8Array(data.byteLength + chunk.byteLength);
+                grown.set(data);
+                grown.set(chunk, data.byteLength);
+                this.files.set(this.#file.path, grown);
+
+                return chunk.byteLength + "\n";
+            }},
+
+            {pattern: /^f\.close\(\)$/, handler: () => {
+                this.#file = null;
+            }},
+
+            {pattern: new RegExp("os\\.remove\\(" + STRING + "\\)"), handler: (match) => {
+                const path = literal(match[1]);
+                if(this.dirs.has(path)) throw EISDIR();
+                if(!this.files.delete(path)) throw ENOENT();
+            }},
+
+            {pattern: new RegExp("os\\.mkdir\\(" + STRING + "\\)"), handler: (match) => {
+                const path = literal(match[1]);
+                if(this.dirs.has(path) || this.files.has(path)) throw EEXIST();
+                if(!this.dirs.has(this.#parent(path))) throw ENOENT();
+
+                this.dirs.add(path);
+            }},
+
+            {pattern: new RegExp("os\\.rmdir\\(" + STRING + "\\)"), handler: (match) => {
+                const path = literal(match[1]);
+                if(!this.dirs.has(path)) throw ENOENT();
+                if(this.#children(path).length > 0) throw ENOTEMPTY();
+
+                this.dirs.delete(path);
+            }},
+
+            {pattern: new RegExp("os\\.rename\\(" + STRING + "," + STRING + "\\)"), handler: (match) => {
+                const from = literal(match[1]);
+                const to   = literal(match[2]);
+                if(!this.dirs.has(from) && !this.files.has(from)) throw ENOENT();
+                if(!this.dirs.has(this.#parent(to))) throw ENOENT();
+
+                // Moves everything under a directory along with it
+                const move = (path) => path == from || path.startsWith(from + "/") ? to + path.slice(from.length) : path;
+                this.files = new Map([...this.files].map(([path, data]) => [move(path), data]));
+                this.dirs  = new Set([...this.dirs].map(move));
+            }}
+        ];
+    }
+}
+
+
+// Stand-in for a `SerialPort` with `device` (a `SimulatedMicroPython`) on the other end
+export class SimulatedSerialPort{
+    #controller = null;     // Controller of `readable`, `null` while closed
+
+    constructor(device, info={usbVendorId: 0x2E8A, usbProductId: 0x0005}){
+        this.device      = device;
+        this.info        = info;
+        this.readable    = null;
+        this.writable    = null;
+        this.attached    = true;
+        this.openOptions = null;    // What `open()` was last called with
+        this.openError   = null;    // Message `open()` fails with, like when another program has the port
+
+        // Output while the port is closed is lost like on real hardware
+        device.onoutput = (data) => this.#controller?.enqueue(data);
+    }
+
+
+    getInfo(){
+        return {...this.info};
+    }
+
+
+    async open(options){
+        if(!this.attached){
+            throw new Error("NetworkError: Failed to open serial port.");
+        }
+
+        if(this.readable !== null){
+            throw new Error("InvalidStateError: The port is already open.");
+        }
+
+        if(this.openError !== null){
+            throw new Error(this.openError);
+        }
+
+        if(options?.baudRate === undefined){
+            throw new TypeError("Failed to execute 'open' on 'SerialPort': required member baudRate is undefined.");
+        }
+
+        this.openOptions = options;
+        this.readable = new ReadableStream({start: (controller) => this.#controller = controller});
+        this.writable = new WritableStream({write: (chunk) => this.device.receive(new Uint8Array(chunk))});
+    }
+
+
+    async close(){
+        if(this.readable === null){
+            throw new Error("InvalidStateError: The port is already closed.");
+        }
+
+        if(this.readable.locked || this.writable.locked){
+            throw new TypeError("Failed to execute 'close' on 'SerialPort': Cannot cancel a locked stream");
+        }
+
+        this.#closed();
+    }
+
+
+    // Called by `SimulatedSerial` when the device goes away, reading fails like in browsers
+    lost(){
+        this.attached = false;
+        this.#controller?.error(new DOMException("The device has been lost.", "NetworkError"));
+        this.#closed();
+    }
+
+
+    #closed(){
+        this.#controller = null;
+        this.readable    = null;
+        this.writable    = null;
+    }
+}
+
+
+// Stand-in for `navigator.serial`, `requestPort()` acts like the user picked the
+// first attached port that matches the filters
+export class SimulatedSerial extends EventTarget{
+    constructor(ports=[]){
+        super();
+        this.ports = [];
+        this.authorized = new Set();
+
+        ports.forEach(port => this.attach(port));
+    }
+
+
+    // Real ports fire "connect"/"disconnect" themselves and the events bubble
+    // up to `navigator.serial`, so `event.target` is the port
+    #dispatch(type, port){
+        const event = new Event(type);
+        Object.defineProperty(event, "target", {value: port});
+        this.dispatchEvent(event);
+    }
+
+
+    // Plugs a port in (again) with its device freshly booted, ports detach
+    // themselves when their device reboots into the bootloader
+    attach(port){
+        port.attached = true;
+        port.device.powerOn();
+        port.device.onbootloader = () => this.detach(port);
+
+        if(!this.ports.includes(port)){
+            this.ports.push(port);
+        }
+
+        this.#dispatch("connect", port);
+    }
+
+
+    detach(port){
+        this.ports = this.ports.filter(attached => attached !== port);
+        this.#dispatch("disconnect", port);
+        port.lost();
+    }
+
+
+    #matches(port, filters){
+        const info = port.getInfo();
+        return filters.length == 0 || filters.some(filter => (filter.usbVendorId  === undefined || filter.usbVendorId  == info.usbVendorId) &&
+                                                             (filter.usbProductId === undefined || filter.usbProductId == info.usbProductId));
+    }
+
+
+    async requestPort(options={}){
+        const port = this.ports.find(port => this.#matches(port, options.filters ?? []));
+
+        if(port === undefined){
+            throw new Error("NotFoundError: No port selected by the user.");
+        }
+
+        this.authorized.add(port);
+        return port;
+    }
+
+
+    async getPorts(){
+        return this.ports.filter(port => this.authorized.has(port));
+    }
+}
+
+
+// Makes `navigator.serial` point at the given simulated serial (Node has no `navigator.serial`)
+export function installSimulatedSerial(serial){
+    if(globalThis.navigator === undefined){
+        Object.defineProperty(globalThis, "navigator", {value: {}, configurable: true, writable: true});
+    }
+
+    Object.defineProperty(globalThis.navigator, "serial", {value: serial, configurable: true, writable: true});
+}
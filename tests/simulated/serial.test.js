@@ -0,0 +1,59 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import Serial from "../../serial.js";
+import {SimulatedMicroPython, SimulatedSerialPort, SimulatedSerial, installSimulatedSerial} from "./serial.js";
+
+
+function nextEvent(target, type){
+    return new Promise(resolve => target.addEventListener(type, resolve, {once: true}));
+}
+
+
+test("reopens the same board when it comes back and reports when that fails", async () => {
+    const board = new SimulatedSerialPort(new SimulatedMicroPython(), {usbVendorId: 0x2E8A, usbProductId: 0x0005, serialNumber: "BOARD"});
+    const other = new SimulatedSerialPort(new SimulatedMicroPython(), {usbVendorId: 0x2E8A, usbProductId: 0x0005, serialNumber: "OTHER"});
+    const ports = new SimulatedSerial([board]);
+    installSimulatedSerial(ports);
+
+    const serial = new Serial();
+    await serial.open(board, {autoReconnect: true});
+    let reconnects = [];
+    let errors = [];
+    serial.addEventListener("reconnect", (event) => reconnects.push(event.detail));
+    serial.addEventListener("error", (event) => errors.push(event.detail));
+
+    // Reads failing because the port was unplugged aren't errors
+    ports.detach(board);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.equal(serial.connected(), false);
+    assert.deepEqual(errors, []);
+
+    // Same kind of board but a different one
+    ports.attach(other);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.deepEqual(reconnects, []);
+    assert.equal(other.readable, null);
+
+    board.openError = "NetworkError: Failed to open serial port.";
+    let reconnected = nextEvent(serial, "reconnect");
+    ports.attach(board);
+    await reconnected;
+    assert.equal(reconnects[0].port, board);
+    assert.match(reconnects[0].error.message, /Failed to open/);
+    assert.equal(serial.connected(), false);
+
+    board.openError = null;
+    ports.detach(board);
+    reconnected = nextEvent(serial, "reconnect");
+    ports.attach(board);
+    await reconnected;
+    assert.equal(reconnects[1].error, null);
+    assert.equal(serial.connected(), true);
+
+    await serial.write("\x02");
+    assert.match(new TextDecoder().decode(await serial.readUntil(">>> ")), /MicroPython v1\.24\.0/);
+    assert.deepEqual(errors, []);
+
+    await serial.disconnect();
+});
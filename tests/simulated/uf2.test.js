@@ -0,0 +1,73 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import UF2, {UF2_FLAGS, UF2_FAMILY_IDS} from "../../uf2.js";
+
+
+function binary(size){
+    return new Uint8Array(size).map((_, i) => (i * 5) & 0xff);
+}
+
+
+// Overwrites the 32 bit word at `offset` of the block at `index`
+function patch(uf2, index, offset, value){
+    new DataView(uf2.buffer).setUint32(index*512 + offset, value, true);
+    return uf2;
+}
+
+
+test("parse round trips and rejects malformed files", () => {
+    const uf2 = UF2.fromBinary(binary(1000), 0x10000000, UF2_FAMILY_IDS.RP2040).toUint8Array();
+    const parsed = UF2.parse(uf2);
+    assert.equal(parsed.blocks.length, 4);
+    assert.deepEqual(parsed.blocks.map(block => block.address), [0x10000000, 0x10000100, 0x10000200, 0x10000300]);
+    assert.deepEqual(parsed.familyIds(), [UF2_FAMILY_IDS.RP2040]);
+
+    assert.throws(() => UF2.parse(patch(uf2.slice(), 1, 0, 0x12345678)), /Block 1 has bad magic numbers/);
+    assert.throws(() => UF2.parse(patch(uf2.slice(), 2, 508, 0)), /Block 2 has bad magic numbers/);
+    assert.throws(() => UF2.parse(patch(uf2.slice(), 0, 16, 477)), /payload size 477, maximum is 476/);
+    assert.throws(() => UF2.parse(uf2.slice(0, 1500)), /multiple of 512 bytes, got 1500/);
+    assert.throws(() => UF2.parse(uf2.slice(0, 1536)), /File ends after block 2, expected 4 blocks/);
+    assert.throws(() => UF2.parse(patch(uf2.slice(), 2, 20, 3)), /Block 2 is numbered 3\/4, expected 2\/4/);
+    assert.throws(() => UF2.parse(patch(uf2.slice(), 3, 20, 4)), /Block 3 is numbered 4\/4/);
+});
+
+
+test("parse accepts concatenated families and the RP2350-E10 workaround block", () => {
+    const rp2040 = UF2.fromBinary(binary(600), 0x10000000, UF2_FAMILY_IDS.RP2040);
+    const rp2350 = UF2.fromBinary(binary(300), 0x10000000, UF2_FAMILY_IDS.RP2350_ARM_S);
+    const both   = UF2.parse(new Uint8Array([...rp2040.toUint8Array(), ...rp2350.toUint8Array()]));
+    assert.deepEqual(both.familyIds(), [UF2_FAMILY_IDS.RP2040, UF2_FAMILY_IDS.RP2350_ARM_S]);
+    assert.equal(both.filterFamily(UF2_FAMILY_IDS.RP2350_ARM_S).blocks.length, 2);
+
+    // The workaround's absolute block is never completed, numbered 0/2 or 1/2
+    for(const blockNo of [0, 1]){
+        const workaround = {...UF2.fromBinary(new Uint8Array(256).fill(0xef), 0x10ffff00, UF2_FAMILY_IDS.ABSOLUTE).blocks[0], blockNo, blockCount: 2};
+        const parsed = UF2.parse(new UF2([workaround, ...rp2350.blocks]).toUint8Array());
+        assert.deepEqual(parsed.blocks.map(block => [block.blockNo, block.blockCount]), [[blockNo, 2], [0, 2], [1, 2]]);
+    }
+});
+
+
+test("flashBlocks skips blocks not meant for flash", () => {
+    const blocks = UF2.fromBinary(binary(1024), 0x10000000, UF2_FAMILY_IDS.RP2040).blocks;
+    blocks[1].flags |= UF2_FLAGS.NOT_MAIN_FLASH;
+    blocks[2].flags |= UF2_FLAGS.FILE_CONTAINER;
+    blocks[3].flags |= UF2_FLAGS.MD5_CHECKSUM_PRESENT;
+
+    const parsed = UF2.parse(new UF2(blocks).toUint8Array());
+    assert.deepEqual(parsed.flashBlocks().map(block => block.blockNo), [0, 3]);
+});
+
+
+test("blocks without a family ID keep their file size", () => {
+    const uf2 = UF2.fromBinary(binary(512), 0x10000000);
+    assert.deepEqual(uf2.blocks.map(block => [block.flags, block.familyId]), [[0, null], [0, null]]);
+
+    const bytes = patch(uf2.toUint8Array(), 0, 28, 123456);
+    patch(bytes, 1, 28, 123456);
+    const parsed = UF2.parse(bytes);
+    assert.deepEqual(parsed.familyIds(), [null]);
+    assert.deepEqual(parsed.blocks.map(block => block.fileSize), [123456, 123456]);
+    assert.deepEqual(parsed.toUint8Array(), bytes);
+});
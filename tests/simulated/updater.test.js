@@ -0,0 +1,93 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import Serial from "../../serial.js";
+import Updater from "../../updater.js";
+import {PICOBOOT_MEMORY_MAP} from "../../picoboot.js";
+import UF2, {UF2_FAMILY_IDS} from "../../uf2.js";
+import {SimulatedPicobootDevice, SimulatedUSB, installSimulatedUSB} from "./usb.js";
+import {SimulatedMicroPython, SimulatedSerialPort, SimulatedSerial, installSimulatedSerial} from "./serial.js";
+
+
+const FIRMWARE = UF2.fromBinary(new Uint8Array(8192).map((_, i) => (i * 13) & 0xff), PICOBOOT_MEMORY_MAP.FLASH_START, UF2_FAMILY_IDS.RP2040).toUint8Array();
+
+
+// A board running MicroPython `version` that comes back running `newVersion` after being flashed
+function simulatedBoard(version, newVersion){
+    const micropython = new SimulatedMicroPython({version});
+    const bootsel     = new SimulatedPicobootDevice({serialNumber: micropython.uniqueId});
+    const port        = new SimulatedSerialPort(micropython);
+    const serialPorts = new SimulatedSerial([port]);
+    const usb         = new SimulatedUSB();
+    usb.authorized.add(bootsel);
+    installSimulatedSerial(serialPorts);
+    installSimulatedUSB(usb);
+
+    // `machine.bootloader()` swaps the serial port for the BOOTSEL device and rebooting out
+    // of BOOTSEL brings the serial port back with the new version once the firmware has booted
+    micropython.onbootloader = () => {
+        serialPorts.detach(port);
+        usb.attach(bootsel);
+    }
+    usb.addEventListener("disconnect", () => setTimeout(() => {
+        micropython.version = newVersion;
+        serialPorts.attach(port);
+        micropython.onbootloader = null;
+    }, 100));
+
+    return bootsel;
+}
+
+
+test("reboots into BOOTSEL over serial, flashes and confirms the new version", async () => {
+    const bootsel = simulatedBoard("1.23.0", "1.24.0");
+    const serial  = new Serial();
+    await serial.connect();
+
+    const updater = new Updater(serial, FIRMWARE, {version: "v1.24.0", bootselTimeout: 2000, serialTimeout: 2000});
+    let phases = [];
+    updater.addEventListener("progress", (event) => {
+        if(phases.at(-1) != event.detail.phase) phases.push(event.detail.phase);
+    });
+
+    assert.equal(await updater.needsUpdate(), true);
+    assert.deepEqual(await updater.update(), {
+        previousVersion: "1.23.0",
+        version:         "1.24.0",
+        expectedVersion: "v1.24.0"
+    });
+    assert.deepEqual(phases.filter(phase => ["bootloader", "bootsel", "serial", "confirm"].includes(phase)), ["bootloader", "bootsel", "serial", "confirm"]);
+    assert.deepEqual(bootsel.flash.subarray(0, 8192), new Uint8Array(8192).map((_, i) => (i * 13) & 0xff));
+    assert.equal(await updater.needsUpdate(), false);
+
+    await serial.disconnect();
+});
+
+
+test("fails when the board comes back on a different version", async () => {
+    simulatedBoard("1.23.0", "1.24.1");
+    const serial = new Serial();
+    await serial.connect();
+
+    const updater = new Updater(serial, FIRMWARE, {version: "v1.24", bootselTimeout: 2000, serialTimeout: 2000});
+    await assert.rejects(updater.update(), /reports version "1\.24\.1" after the update, expected "v1\.24"/);
+
+    // Newer than the firmware, flashing it again would be a downgrade
+    assert.deepEqual(await updater.checkVersion(), {installedVersion: "1.24.1", expectedVersion: "v1.24", comparison: 1});
+    assert.equal(await updater.needsUpdate(), false);
+
+    await serial.disconnect();
+});
+
+
+test("confirms preview builds against the git describe version of the firmware", async () => {
+    simulatedBoard("1.23.0", "1.24.0-preview");
+    const serial = new Serial();
+    await serial.connect();
+
+    const updater = new Updater(serial, FIRMWARE, {version: "v1.24.0-preview.123.g1234abc", bootselTimeout: 2000, serialTimeout: 2000});
+    assert.equal((await updater.update()).version, "1.24.0-preview");
+    assert.equal((await updater.checkVersion()).comparison, 0);
+
+    await serial.disconnect();
+});
@@ -0,0 +1,745 @@
+// In-memory stand-ins for `navigator.usb` and `USBDevice` that speak the PICOBOOT
+// protocol, so `picoboot.js` and `picotool.js` can be tested under Node without
+// hardware. Behaviour follows the datasheets as closely as is useful for testing:
+// * https://datasheets.raspberrypi.com/rp2350/rp2350-datasheet.pdf?#page=402
+// * https://datasheets.raspberrypi.com/rp2040/rp2040-datasheet.pdf?#page=146
+//
+// Failed commands stall both bulk endpoints until the host sends INTERFACE_RESET,
+// the reason can be fetched with GET_COMMAND_STATUS just like on real devices.
+// Reads/writes the host makes when the device has nothing to send or isn't
+// expecting anything would hang forever on hardware, here they reject instead
+
+
+// https://datasheets.raspberrypi.com/rp2350/rp2350-datasheet.pdf?#page=408
+export const SIMULATED_STATUS = {
+    OK:                      0,
+    UNKNOWN_CMD:             1,
+    INVALID_CMD_LENGTH:      2,
+    INVALID_TRANSFER_LENGTH: 3,
+    INVALID_ADDRESS:         4,
+    BAD_ALIGNMENT:           5,
+    INTERLEAVED_WRITE:       6,
+    REBOOTING:               7,
+    UNKNOWN_ERROR:           8,
+    INVALID_STATE:           9,
+    NOT_PERMITTED:           10,
+    INVALID_ARG:             11,
+    BUFFER_TOO_SMALL:        12,
+    PRECONDITION_NOT_MET:    13,
+    MODIFIED_DATA:           14,
+    INVALID_DATA:            15,
+    NOT_FOUND:               16,
+    UNSUPPORTED_MODIFICATION:17
+}
+
+
+// Per chip USB descriptors and memory layout
+const CHIPS = {
+    RP2040: {
+        productId:   0x0003,
+        productName: "RP2 Boot",
+        romSize:     16 * 1024,
+        sramStart:   0x20000000,
+        sramSize:    264 * 1024,
+        commands:    [0x01, 0x02, 0x03, 0x84, 0x05, 0x06, 0x07, 0x08, 0x09]
+    },
+    RP2350: {
+        productId:   0x000F,
+        productName: "RP2350 Boot",
+        romSize:     32 * 1024,
+        sramStart:   0x20000000,
+        sramSize:    520 * 1024,
+        commands:    [0x01, 0x03, 0x84, 0x05, 0x06, 0x07, 0x0a, 0x8b, 0x8c, 0x0d]
+    }
+}
+
+// Expected `bCmdSize` for each command ID
+const COMMAND_SIZES = {
+    0x01: 0x01, 0x02: 0x0c, 0x03: 0x08, 0x84: 0x08, 0x05: 0x08, 0x06: 0x00,
+    0x07: 0x00, 0x08: 0x04, 0x09: 0x04, 0x0a: 0x10, 0x8b: 0x10, 0x8c: 0x05, 0x0d: 0x05
+}
+
+const FLASH_START     = 0x10000000;
+const FLASH_WINDOW    = 16 * 1024 * 1024;
+const FLASH_SECTOR    = 4096;
+const FLASH_PAGE      = 256;
+
+// Partition flag bits for the family IDs a partition accepts by default
+const PARTITION_FAMILY_FLAGS = {
+    0xe48bff56: 0x00004000, 0xe48bff57: 0x00008000, 0xe48bff58: 0x00010000,
+    0xe48bff59: 0x00020000, 0xe48bff5a: 0x00040000, 0xe48bff5b: 0x00080000
+}
+
+const PICOBOOT_MAGIC  = 0x431fd10b;
+const EP_OUT          = 3;
+const EP_IN           = 4;
+const PICOBOOT_IFACE  = 1;
+
+
+// Error that stalls the command with the given status code
+class SimulatedStall extends Error{
+    constructor(status){
+        super("Simulated PICOBOOT device stalled with status " + status);
+        this.status = status;
+    }
+}
+
+
+export class SimulatedPicobootDevice{
+    // Options:
+    // * chip:         "RP2040" or "RP2350"
+    // * flashSize:    Size of the physical flash chip, addresses past it mirror the start
+    // * serialNumber: USB serial number string
+    // * stuckBytes:   Map of flash offset to a value that offset always reads back as, for
+    //                 simulating bad flash or writes that silently didn't make it
+    // * claimError:   Message `claimInterface()` fails with, like when an OS driver has the interface
+    // * partitions:   RP2350 partition table, list of `{start, size, familyIds, name}` (flash
+    //                 offsets in bytes). UF2s go to the first partition that accepts their
+    //                 family, the real bootrom's A/B slot selection isn't simulated
+    constructor(options={}){
+        const chip = CHIPS[options.chip ?? "RP2040"];
+        if(chip === undefined){
+            throw new Error("Unknown simulated chip '" + options.chip + "'");
+        }
+
+        this.chip             = options.chip ?? "RP2040";
+        this.vendorId         = 0x2E8A;
+        this.productId        = chip.productId;
+        this.productName      = chip.productName;
+        this.manufacturerName = "Raspberry Pi";
+        this.serialNumber     = options.serialNumber ?? "E660583883AB1234";
+
+        this.flash = new Uint8Array(options.flashSize ?? 2 * 1024 * 1024).fill(0xff);
+        this.sram  = new Uint8Array(chip.sramSize);
+        this.rom   = new Uint8Array(chip.romSize);
+        this.layout = chip;
+        this.otp   = new Uint32Array(4096);     // RP2350 OTP rows (raw, 24 bits). ECC is simplified to the low 16 bits
+        this.stuckBytes = options.stuckBytes ?? {};
+        this.partitions = options.partitions ?? [];
+        this.claimError = options.claimError ?? null;
+
+        // Interface 0 is mass storage, interface 1 is PICOBOOT
+        const bulk = (direction, endpointNumber) => ({endpointNumber, direction, type: "bulk", packetSize: 64});
+        this.configurations = [{
+            configurationValue: 1,
+            interfaces: [
+                {interfaceNumber: 0, alternates: [{alternateSetting: 0, interfaceClass: 0x08, interfaceSubclass: 0x06, interfaceProtocol: 0x50,
+                                                   endpoints: [bulk("out", 2), bulk("in", 1)]}]},
+                {interfaceNumber: PICOBOOT_IFACE, alternates: [{alternateSetting: 0, interfaceClass: 0xff, interfaceSubclass: 0, interfaceProtocol: 0,
+                                                   endpoints: [bulk("out", EP_OUT), bulk("in", EP_IN)]}]}
+            ]
+        }];
+
+        // Called with this device when it reboots out of BOOTSEL, `SimulatedUSB` uses it to detach the device
+        this.onreboot = null;
+
+        // Every command the host sent, handy for asserting on in tests
+        this.commandLog = [];
+
+        this.powerOn();
+    }
+
+
+    // Resets everything a reboot would reset (flash and SRAM contents are kept)
+    powerOn(){
+        this.opened        = false;
+        this.configuration = null;
+        this.claimed       = false;
+        this.attached      = true;
+        this.exclusive     = 0;
+        this.xip           = true;
+        this.rebootedWith  = null;
+        this.executed      = [];        // Addresses called with EXEC
+        this.vectorizedTo  = null;      // Address given to VECTORIZE_FLASH
+        this.#resetProtocol();
+    }
+
+
+    #resetProtocol(){
+        this.halted        = false;
+        this.state         = "command"; // "command", "data-out", "data-in", "ack-in", "ack-out"
+        this.pending       = null;      // Command waiting on its data phase
+        this.pendingIn     = null;      // Data waiting to be read by the host
+        this.pendingReboot = null;      // Reboot to do once the command is acknowledged
+        this.commandStatus = {token: 0, status: SIMULATED_STATUS.OK, cmdId: 0, inProgress: 0};
+    }
+
+
+    // Returns the flash offset for an address in the XIP window (mirrored past the end of the chip)
+    #flashOffset(address){
+        return (address - FLASH_START) % this.flash.byteLength;
+    }
+
+
+    // Finds which memory an address range falls into, throws INVALID_ADDRESS if it straddles or misses all of them
+    #region(address, size){
+        const end = address + size;
+
+        if(address >= FLASH_START && end <= FLASH_START + FLASH_WINDOW){
+            return "flash";
+        }else if(address >= this.layout.sramStart && end <= this.layout.sramStart + this.layout.sramSize){
+            return "sram";
+        }else if(end <= this.layout.romSize){
+            return "rom";
+        }
+
+        throw new SimulatedStall(SIMULATED_STATUS.INVALID_ADDRESS);
+    }
+
+
+    #read(address, size){
+        const region = this.#region(address, size);
+        const data   = new Uint8Array(size);
+
+        if(region == "flash"){
+            for(let i=0; i<size; i++){
+                const offset = this.#flashOffset(address+i);
+                data[i] = this.stuckBytes[offset] ?? this.flash[offset];
+            }
+        }else if(region == "sram"){
+            data.set(this.sram.subarray(address-this.layout.sramStart, address-this.layout.sramStart+size));
+        }else{
+            data.set(this.rom.subarray(address, address+size));
+        }
+
+        return data;
+    }
+
+
+    // Checks the arguments of a write before its data phase starts
+    #checkWrite(address, size){
+        const region = this.#region(address, size);
+
+        if(region == "rom"){
+            throw new SimulatedStall(SIMULATED_STATUS.INVALID_ADDRESS);
+        }else if(region == "flash" && (address % FLASH_PAGE != 0 || size % FLASH_PAGE != 0)){
+            throw new SimulatedStall(SIMULATED_STATUS.BAD_ALIGNMENT);
+        }
+    }
+
+
+    #write(address, data){
+        if(this.#region(address, data.byteLength) == "flash"){
+            // Programming flash can only clear bits, that's what erasing is for
+            for(let i=0; i<data.byteLength; i++){
+                this.flash[this.#flashOffset(address+i)] &= data[i];
+            }
+        }else{
+            this.sram.set(data, address-this.layout.sramStart);
+        }
+    }
+
+
+    #erase(address, size){
+        if(this.#region(address, size) != "flash"){
+            throw new SimulatedStall(SIMULATED_STATUS.INVALID_ADDRESS);
+        }
+
+        if(address % FLASH_SECTOR != 0 || size % FLASH_SECTOR != 0){
+            throw new SimulatedStall(SIMULATED_STATUS.BAD_ALIGNMENT);
+        }
+
+        for(let i=0; i<size; i++){
+            this.flash[this.#flashOffset(address+i)] = 0xff;
+        }
+    }
+
+
+    #otpCheck(row, count, ecc, transferLength){
+        if(row + count > this.otp.length){
+            throw new SimulatedStall(SIMULATED_STATUS.INVALID_ADDRESS);
+        }
+
+        if(transferLength != count * (ecc ? 2 : 4)){
+            throw new SimulatedStall(SIMULATED_STATUS.INVALID_TRANSFER_LENGTH);
+        }
+    }
+
+
+    #otpRead(row, count, ecc, transferLength){
+        this.#otpCheck(row, count, ecc, transferLength);
+
+        const data = new Uint8Array(transferLength);
+        const view = new DataView(data.buffer);
+        for(let i=0; i<count; i++){
+            ecc ? view.setUint16(i*2, this.otp[row+i] & 0xffff, true) : view.setUint32(i*4, this.otp[row+i], true);
+        }
+
+        return data;
+    }
+
+
+    // OTP bits can only be set. ECC rows can only be written once since changing
+    // them later would break their ECC bits
+    #otpWrite(row, count, ecc, data){
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+        for(let i=0; i<count; i++){
+            if(ecc){
+                if(this.otp[row+i] != 0){
+                    throw new SimulatedStall(SIMULATED_STATUS.UNSUPPORTED_MODIFICATION);
+                }
+                this.otp[row+i] = view.getUint16(i*2, true);
+            }else{
+                this.otp[row+i] |= view.getUint32(i*4, true) & 0xffffff;
+            }
+        }
+    }
+
+
+    // Location and flags words of a partition as GET_INFO returns them, all permissions set
+    #partitionWords(partition){
+        const familyIds = partition.familyIds ?? [0xe48bff59, 0xe48bff5a];
+        const extra     = familyIds.filter(familyId => PARTITION_FAMILY_FLAGS[familyId] === undefined);
+
+        let flags = extra.length << 7;
+        familyIds.forEach(familyId => flags |= PARTITION_FAMILY_FLAGS[familyId] ?? 0);
+        if(partition.name !== undefined){
+            flags |= 0x1000;
+        }
+
+        const firstSector = partition.start / FLASH_SECTOR;
+        const lastSector  = (partition.start + partition.size) / FLASH_SECTOR - 1;
+
+        return {location: (firstSector | (lastSector << 13) | 0xfc000000) >>> 0, flags: (flags | 0xfc000000) >>> 0, extra};
+    }
+
+
+    // Builds the GET_INFO response words (without the leading word count)
+    #info(type, param){
+        switch(type){
+            case 1: {   // SYS, only what was asked for (everything this simulates)
+                const flags = param & 0x5f;
+                let words = [flags];
+                if(flags & 0x01) words.push(1, 0x12345678, 0x9abcdef0);           // QFN60, chip ID
+                if(flags & 0x02) words.push(0);                                   // Nothing critical set
+                if(flags & 0x04) words.push(0);                                   // Arm
+                if(flags & 0x08) words.push(Math.log2(this.flash.byteLength / FLASH_SECTOR) << 8);
+                if(flags & 0x10) words.push(1, 2, 3, 4);
+                if(flags & 0x40) words.push(0xffff02ff, 0, 0, 0);                 // BOOTSEL, no partition
+                return words;
+            }
+            case 2: {   // PARTITION_TABLE, always everything
+                let words = [0xf1, this.partitions.length | (this.partitions.length > 0 ? 0x100 : 0), 0xfc000000];
+                this.partitions.forEach(partition => {
+                    const {location, flags, extra} = this.#partitionWords(partition);
+                    words.push(location, flags, ...extra);
+
+                    if(partition.name !== undefined){
+                        const name = new Uint8Array(Math.ceil((partition.name.length + 1) / 4) * 4);
+                        name[0] = partition.name.length;
+                        name.set(new TextEncoder().encode(partition.name), 1);
+                        words.push(...new Uint32Array(name.buffer));
+                    }
+                });
+                return words;
+            }
+            case 3: {   // UF2_TARGET_PARTITION
+                const index = this.partitions.findIndex(partition => (partition.familyIds ?? [0xe48bff59, 0xe48bff5a]).includes(param));
+                if(index == -1){
+                    return [0xffffffff];
+                }
+
+                const {location, flags} = this.#partitionWords(this.partitions[index]);
+                return [index, location, flags];
+            }
+            default:
+                throw new SimulatedStall(SIMULATED_STATUS.INVALID_ARG);
+        }
+    }
+
+
+    #reboot(details){
+        this.rebootedWith  = details;
+        this.pendingReboot = null;
+        this.attached = false;
+        this.opened = false;
+
+        if(this.onreboot) this.onreboot(this);
+    }
+
+
+    // Handles a command packet. Commands without an OUT data phase run straight away
+    #command(packet){
+        const view = new DataView(packet.buffer, packet.byteOffset, packet.byteLength);
+
+        if(packet.byteLength != 32 || view.getUint32(0x00, true) != PICOBOOT_MAGIC){
+            throw new SimulatedStall(SIMULATED_STATUS.INVALID_CMD_LENGTH);
+        }
+
+        const token          = view.getUint32(0x04, true);
+        const cmdId          = view.getUint8(0x08);
+        const cmdSize        = view.getUint8(0x09);
+        const transferLength = view.getUint32(0x0c, true);
+
+        this.commandLog.push({cmdId, token, args: packet.slice(0x10, 0x10+cmdSize)});
+        this.commandStatus = {token, status: SIMULATED_STATUS.OK, cmdId, inProgress: 0};
+
+        if(!this.layout.commands.includes(cmdId)){
+            throw new SimulatedStall(SIMULATED_STATUS.UNKNOWN_CMD);
+        }
+
+        if(cmdSize != COMMAND_SIZES[cmdId]){
+            throw new SimulatedStall(SIMULATED_STATUS.INVALID_CMD_LENGTH);
+        }
+
+        // Bit 7 of the command ID is set for commands with an IN data phase
+        if((cmdId & 0x80) == 0 && cmdId != 0x05 && cmdId != 0x0d && transferLength != 0){
+            throw new SimulatedStall(SIMULATED_STATUS.INVALID_TRANSFER_LENGTH);
+        }
+
+        const arg32 = (offset) => view.getUint32(0x10+offset, true);
+
+        switch(cmdId){
+            case 0x01:  // EXCLUSIVE_ACCESS
+                this.exclusive = view.getUint8(0x10);
+                return this.#ackIn();
+            case 0x02:  // REBOOT (RP2040)
+                this.pendingReboot = {pc: arg32(0), sp: arg32(4), delayMS: arg32(8)};
+                return this.#ackIn();
+            case 0x03:  // FLASH_ERASE
+                this.#erase(arg32(0), arg32(4));
+                return this.#ackIn();
+            case 0x84:  // READ
+                if(transferLength != arg32(4)){
+                    throw new SimulatedStall(SIMULATED_STATUS.INVALID_TRANSFER_LENGTH);
+                }
+                this.pendingIn = this.#read(arg32(0), arg32(4));
+                this.state = "data-in";
+                return;
+            case 0x05:  // WRITE
+                if(transferLength != arg32(4)){
+                    throw new SimulatedStall(SIMULATED_STATUS.INVALID_TRANSFER_LENGTH);
+                }
+                this.#checkWrite(arg32(0), arg32(4));
+                this.pending = {cmdId, address: arg32(0), size: arg32(4), data: new Uint8Array(0)};
+                this.state = "data-out";
+                return;
+            case 0x06:  // EXIT_XIP
+                this.xip = false;
+                return this.#ackIn();
+            case 0x07:  // ENTER_CMD_XIP
+                this.xip = true;
+                return this.#ackIn();
+            case 0x08:  // EXEC (RP2040), pretend the function ran and returned
+                this.executed.push(arg32(0));
+                return this.#ackIn();
+            case 0x09:  // VECTORIZE_FLASH (RP2040)
+                if(this.#region(arg32(0), 4) != "sram"){
+                    throw new SimulatedStall(SIMULATED_STATUS.INVALID_ADDRESS);
+                }
+                this.vectorizedTo = arg32(0);
+                return this.#ackIn();
+            case 0x8c:  // OTP_READ (RP2350)
+                this.pendingIn = this.#otpRead(view.getUint16(0x10, true), view.getUint16(0x12, true), view.getUint8(0x14) != 0, transferLength);
+                this.state = "data-in";
+                return;
+            case 0x0d:  // OTP_WRITE (RP2350)
+                this.#otpCheck(view.getUint16(0x10, true), view.getUint16(0x12, true), view.getUint8(0x14) != 0, transferLength);
+                this.pending = {cmdId, row: view.getUint16(0x10, true), count: view.getUint16(0x12, true),
+                                ecc: view.getUint8(0x14) != 0, size: transferLength, data: new Uint8Array(0)};
+                this.state = "data-out";
+                return;
+            case 0x8b: {    // GET_INFO (RP2350)
+                const words = [0, ...this.#info(view.getUint8(0x10), arg32(4))];
+                words[0] = words.length - 1;
+                if(words.length*4 > transferLength){
+                    throw new SimulatedStall(SIMULATED_STATUS.BUFFER_TOO_SMALL);
+                }
+
+                this.pendingIn = new Uint8Array(transferLength);
+                this.pendingIn.set(new Uint8Array(new Uint32Array(words).buffer));
+                this.state = "data-in";
+                return;
+            }
+            case 0x0a:  // REBOOT2 (RP2350)
+                this.pendingReboot = {flags: arg32(0), delayMS: arg32(4), param0: arg32(8), param1: arg32(12)};
+                return this.#ackIn();
+            default:
+                throw new SimulatedStall(SIMULATED_STATUS.UNKNOWN_CMD);
+        }
+    }
+
+
+    // Runs a command once all of its OUT data has arrived
+    #commandData(data){
+        const pending = this.pending;
+
+        const combined = new Uint8Array(pending.data.byteLength + data.byteLength);
+        combined.set(pending.data);
+        combined.set(data, pending.data.byteLength);
+        pending.data = combined;
+
+        if(pending.data.byteLength > pending.size){
+            throw new SimulatedStall(SIMULATED_STATUS.INVALID_TRANSFER_LENGTH);
+        }else if(pending.data.byteLength < pending.size){
+            return;
+        }
+
+        this.pending = null;
+        if(pending.cmdId == 0x0d){
+            this.#otpWrite(pending.row, pending.count, pending.ecc, pending.data);
+        }else{
+            this.#write(pending.address, pending.data);
+        }
+        this.#ackIn();
+    }
+
+
+    #ackIn(){
+        this.state = "ack-in";
+    }
+
+
+    #stall(error){
+        if(!(error instanceof SimulatedStall)){
+            throw error;
+        }
+
+        this.commandStatus.status = error.status;
+        this.halted  = true;
+        this.pending = null;
+        this.pendingIn = null;
+    }
+
+
+    #checkUsable(endpointNumber, direction){
+        if(!this.attached){
+            throw new Error("NetworkError: The device was disconnected.");
+        }
+
+        if(!this.opened || !this.claimed){
+            throw new Error("InvalidStateError: The device must be opened and the interface claimed first.");
+        }
+
+        if(endpointNumber != (direction == "out" ? EP_OUT : EP_IN)){
+            throw new Error("NotFoundError: The specified endpoint is not part of a claimed and selected alternate interface.");
+        }
+    }
+
+
+    // ----- USBDevice -----
+
+    async open(){
+        if(!this.attached){
+            throw new Error("NotFoundError: The device was disconnected.");
+        }
+
+        this.opened = true;
+    }
+
+
+    async close(){
+        this.opened = false;
+        this.claimed = false;
+    }
+
+
+    async selectConfiguration(configurationValue){
+        if(configurationValue != 1){
+            throw new Error("NotFoundError: The configuration value provided is not supported by the device.");
+        }
+
+        this.configuration = this.configurations[0];
+    }
+
+
+    async claimInterface(interfaceNumber){
+        if(this.configuration === null){
+            throw new Error("InvalidStateError: The device must have a configuration selected.");
+        }
+
+        if(this.claimError !== null){
+            throw new Error(this.claimError);
+        }
+
+        if(interfaceNumber == PICOBOOT_IFACE){
+            this.claimed = true;
+        }
+    }
+
+
+    async releaseInterface(interfaceNumber){
+        if(interfaceNumber == PICOBOOT_IFACE){
+            this.claimed = false;
+        }
+    }
+
+
+    async clearHalt(direction, endpointNumber){
+        // The bootrom only leaves the halted state on INTERFACE_RESET
+    }
+
+
+    async transferOut(endpointNumber, data){
+        this.#checkUsable(endpointNumber, "out");
+
+        const bytes = new Uint8Array(data.buffer ?? data, data.byteOffset ?? 0, data.byteLength);
+
+        if(this.halted){
+            return {status: "stall", bytesWritten: 0};
+        }
+
+        try{
+            if(this.state == "command"){
+                this.#command(bytes.slice());
+            }else if(this.state == "data-out"){
+                this.#commandData(bytes.slice());
+            }else if(this.state == "ack-out" && bytes.byteLength == 0){
+                this.state = "command";
+            }else{
+                throw new SimulatedStall(SIMULATED_STATUS.INVALID_STATE);
+            }
+        }catch(error){
+            this.#stall(error);
+            return {status: "stall", bytesWritten: 0};
+        }
+
+        return {status: "ok", bytesWritten: bytes.byteLength};
+    }
+
+
+    async transferIn(endpointNumber, length){
+        this.#checkUsable(endpointNumber, "in");
+
+        if(this.halted){
+            return {status: "stall", data: new DataView(new ArrayBuffer(0))};
+        }
+
+        if(this.state == "data-in"){
+            const data = this.pendingIn.slice(0, length);
+            this.pendingIn = this.pendingIn.slice(length);
+
+            if(this.pendingIn.byteLength == 0){
+                this.pendingIn = null;
+                this.state = "ack-out";
+            }
+
+            return {status: "ok", data: new DataView(data.buffer)};
+        }else if(this.state == "ack-in"){
+            this.state = "command";
+
+            // Reboots happen after the command is acknowledged (no need to simulate the delay)
+            if(this.pendingReboot !== null){
+                this.#reboot(this.pendingReboot);
+            }
+
+            return {status: "ok", data: new DataView(new ArrayBuffer(0))};
+        }
+
+        throw new Error("Simulated PICOBOOT device: host read in state '" + this.state + "', nothing would ever arrive on hardware");
+    }
+
+
+    async controlTransferIn(setup, length){
+        if(!this.attached){
+            throw new Error("NetworkError: The device was disconnected.");
+        }
+
+        // GET_COMMAND_STATUS
+        if(setup.requestType == "vendor" && setup.recipient == "interface" && setup.request == 0x42 && setup.index == PICOBOOT_IFACE){
+            const data = new DataView(new ArrayBuffer(16));
+            data.setUint32(0, this.commandStatus.token,  true);
+            data.setUint32(4, this.commandStatus.status, true);
+            data.setUint8( 8, this.commandStatus.cmdId);
+            data.setUint8( 9, this.commandStatus.inProgress);
+
+            return {status: "ok", data: new DataView(data.buffer, 0, Math.min(length, 16))};
+        }
+
+        return {status: "stall", data: new DataView(new ArrayBuffer(0))};
+    }
+
+
+    async controlTransferOut(setup, data){
+        if(!this.attached){
+            throw new Error("NetworkError: The device was disconnected.");
+        }
+
+        // INTERFACE_RESET
+        if(setup.requestType == "vendor" && setup.recipient == "interface" && setup.request == 0x41 && setup.index == PICOBOOT_IFACE){
+            this.#resetProtocol();
+            return {status: "ok", bytesWritten: 0};
+        }
+
+        return {status: "stall", bytesWritten: 0};
+    }
+
+
+    async reset(){
+        this.#resetProtocol();
+    }
+}
+
+
+// Stand-in for `navigator.usb`, `requestDevice()` acts like the user picked the
+// first attached device that matches the filters
+export class SimulatedUSB extends EventTarget{
+    constructor(devices=[]){
+        super();
+        this.devices = [];
+        this.authorized = new Set();
+
+        devices.forEach(device => this.attach(device));
+    }
+
+
+    // Plugs a device in (again), devices detach themselves when they reboot
+    attach(device){
+        device.powerOn();
+        device.onreboot = () => this.detach(device);
+
+        if(!this.devices.includes(device)){
+            this.devices.push(device);
+        }
+
+        const event = new Event("connect");
+        event.device = device;
+        this.dispatchEvent(event);
+    }
+
+
+    detach(device){
+        device.attached = false;
+        device.opened = false;
+        this.devices = this.devices.filter(attached => attached !== device);
+
+        const event = new Event("disconnect");
+        event.device = device;
+        this.dispatchEvent(event);
+    }
+
+
+    #matches(device, filters){
+        return filters.some(filter => (filter.vendorId  === undefined || filter.vendorId  == device.vendorId) &&
+                                      (filter.productId === undefined || filter.productId == device.productId) &&
+                                      (filter.serialNumber === undefined || filter.serialNumber == device.serialNumber));
+    }
+
+
+    async requestDevice(options){
+        const device = this.devices.find(device => this.#matches(device, options.filters));
+
+        if(device === undefined){
+            throw new Error("NotFoundError: No device selected.");
+        }
+
+        this.authorized.add(device);
+        return device;
+    }
+
+
+    async getDevices(){
+        return this.devices.filter(device => this.authorized.has(device));
+    }
+}
+
+
+// Makes `navigator.usb` point at the given simulated USB (Node has no `navigator.usb`)
+export function installSimulatedUSB(usb){
+    if(globalThis.navigator === undefined){
+        Object.defineProperty(globalThis, "navigator", {value: {}, configurable: true, writable: true});
+    }
+
+    Object.defineProperty(globalThis.navigator, "usb", {value: usb, configurable: true, writable: true});
+}
@@ -1,4 +1,20 @@
-import Picoboot, {PICOBOOT_EXCLUSIVE_MODES} from "./picoboot";
-import Picotool from "./picotool";
+import Batch from "./batch.js";
+import Picoboot, {PICOBOOT_EXCLUSIVE_MODES, PICOBOOT_MEMORY_MAP, PICOBOOT_STATUS, PICOBOOT_INFO_TYPES, PICOBOOT_BOOT_TYPES, PICOBOOT_USB_FILTERS,
+                 PicobootError, PicobootCommandError, PicobootUnknownCommandError, PicobootInvalidCommandError,
+                 PicobootInvalidAddressError, PicobootBadAlignmentError, PicobootInterleavedWriteError,
+                 PicobootRebootingError, PicobootNotPermittedError, PicobootClaimError} from "./picoboot.js";
+import BinaryInfo, {BINARY_INFO_IDS, BINARY_INFO_TYPES} from "./binaryinfo.js";
+import ELF, {ELF_MACHINES} from "./elf.js";
+import Picotool, {OTP_ROWS} from "./picotool.js";
+import Pyboard, {PyboardError, PyboardException, PyboardTimeoutError, ReplSession, parseTraceback} from "./pyboard.js";
+import Serial, {SerialError, SerialTimeoutError} from "./serial.js";
+import UF2, {UF2_FAMILY_IDS, UF2_FLAGS} from "./uf2.js";
+import Updater from "./updater.js";
 
-export {Picoboot, PICOBOOT_EXCLUSIVE_MODES, Picotool};
\ No newline at end of file
+export {Batch,
+        Picoboot, PICOBOOT_EXCLUSIVE_MODES, PICOBOOT_MEMORY_MAP, PICOBOOT_STATUS, PICOBOOT_INFO_TYPES, PICOBOOT_BOOT_TYPES, PICOBOOT_USB_FILTERS,
+        PicobootError, PicobootCommandError, PicobootUnknownCommandError, PicobootInvalidCommandError,
+        PicobootInvalidAddressError, PicobootBadAlignmentError, PicobootInterleavedWriteError,
+        PicobootRebootingError, PicobootNotPermittedError, PicobootClaimError,
+        BinaryInfo, BINARY_INFO_IDS, BINARY_INFO_TYPES, ELF, ELF_MACHINES,
+        Picotool, OTP_ROWS, Pyboard, PyboardError, PyboardException, PyboardTimeoutError, ReplSession, parseTraceback, Serial, SerialError, SerialTimeoutError, UF2, UF2_FAMILY_IDS, UF2_FLAGS, Updater};
\ No newline at end of file
@@ -0,0 +1,219 @@
+// https://github.com/microsoft/uf2
+// https://datasheets.raspberrypi.com/rp2350/rp2350-datasheet.pdf?#page=397
+// This module parses, validates and builds UF2 files. Every block is 512 bytes:
+//
+// 0x000: First magic     (4 bytes)
+// 0x004: Second magic    (4 bytes)
+// 0x008: Flags           (4 bytes)
+// 0x00c: Target address  (4 bytes)
+// 0x010: Payload size    (4 bytes)
+// 0x014: Block number    (4 bytes, sequential, starts at 0)
+// 0x018: Block count     (4 bytes, total number of blocks in the file)
+// 0x01c: Family ID       (4 bytes, or file size when not flagged as family ID)
+// 0x020: Data            (476 bytes, only `payload size` bytes are used)
+// 0x1fc: Final magic     (4 bytes)
+
+
+export const UF2_MAGIC = {
+    START0: 0x0A324655,     // "UF2\n"
+    START1: 0x9E5D5157,
+    END:    0x0AB16F30
+}
+
+
+export const UF2_FLAGS = {
+    NOT_MAIN_FLASH:         0x00000001,     // Block should be skipped when writing the device flash
+    FILE_CONTAINER:         0x00001000,     // Block is part of a file container, not a flash image
+    FAMILY_ID_PRESENT:      0x00002000,     // Word at 0x01c is a family ID instead of a file size
+    MD5_CHECKSUM_PRESENT:   0x00004000,     // Last 24 bytes of the data section hold a checksum
+    EXTENSION_TAGS_PRESENT: 0x00008000      // Extension tags follow the payload
+}
+
+
+// https://datasheets.raspberrypi.com/rp2350/rp2350-datasheet.pdf?#page=398
+export const UF2_FAMILY_IDS = {
+    RP2040:        0xe48bff56,
+    ABSOLUTE:      0xe48bff57,  // RP2350 only, written at the given address with no partition handling
+    DATA:          0xe48bff58,  // RP2350 only, data for partitions that are not executable
+    RP2350_ARM_S:  0xe48bff59,
+    RP2350_RISCV:  0xe48bff5a,
+    RP2350_ARM_NS: 0xe48bff5b
+}
+
+
+const BLOCK_SIZE       = 512;
+const DATA_OFFSET      = 32;
+const DATA_MAX_SIZE    = 476;
+const FLASH_PAGE_SIZE  = 256;   // Payload size used by every RP2040/RP2350 tool
+
+
+export default class UF2{
+    // `blocks` is a list of objects like what `parse()` returns, see `UF2.parse()`
+    constructor(blocks=[]){
+        this.blocks = blocks;
+    }
+
+
+    // Returns if data (`ArrayBuffer` or `Uint8Array`) starts with the UF2 magic numbers
+    static isUF2(data){
+        const bytes = new Uint8Array(data);
+        if(bytes.byteLength < BLOCK_SIZE){
+            return false;
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        return view.getUint32(0, true) == UF2_MAGIC.START0 && view.getUint32(4, true) == UF2_MAGIC.START1;
+    }
+
+
+    // Parses and validates UF2 data (`ArrayBuffer` or `Uint8Array`). Files can be
+    // several UF2 files concatenated together (e.g. one per family) so the block
+    // numbering is checked per family, a block numbered 0 (or with a different block
+    // count) starts a new run. Runs can be left incomplete on purpose, e.g. RP2350 UF2s
+    // built with the RP2350-E10 workaround start with a lone absolute family block
+    // numbered 0/2 or 1/2, only the file's last run has to be complete
+    static parse(uf2Data){
+        const data = new Uint8Array(uf2Data);
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+        if(data.byteLength == 0 || data.byteLength % BLOCK_SIZE != 0){
+            throw new Error("uf2.js: ERROR: Expected a multiple of " + BLOCK_SIZE + " bytes, got " + data.byteLength);
+        }
+
+        let blocks  = [];
+        let runs    = new Map();    // Family ID -> `{next, count}` of the run its blocks are in
+        let lastRun = null;
+
+        for(let offset=0; offset<data.byteLength; offset+=BLOCK_SIZE){
+            const index = offset/BLOCK_SIZE;
+
+            if(view.getUint32(offset+0, true) != UF2_MAGIC.START0 ||
+               view.getUint32(offset+4, true) != UF2_MAGIC.START1 ||
+               view.getUint32(offset+BLOCK_SIZE-4, true) != UF2_MAGIC.END){
+                throw new Error("uf2.js: ERROR: Block " + index + " has bad magic numbers, not a UF2 file");
+            }
+
+            const flags      = view.getUint32(offset+8,  true);
+            const address    = view.getUint32(offset+12, true);
+            const size       = view.getUint32(offset+16, true);
+            const blockNo    = view.getUint32(offset+20, true);
+            const blockCount = view.getUint32(offset+24, true);
+            const familyId   = (flags & UF2_FLAGS.FAMILY_ID_PRESENT) ? view.getUint32(offset+28, true) : null;
+            const fileSize   = (flags & UF2_FLAGS.FAMILY_ID_PRESENT) ? null : view.getUint32(offset+28, true);
+
+            if(size > DATA_MAX_SIZE){
+                throw new Error("uf2.js: ERROR: Block " + index + " has payload size " + size + ", maximum is " + DATA_MAX_SIZE);
+            }
+
+            if(blockNo >= blockCount){
+                throw new Error("uf2.js: ERROR: Block " + index + " is numbered " + blockNo + "/" + blockCount);
+            }
+
+            // Blocks carrying on a run have to be in order
+            const run = runs.get(familyId);
+            if(run !== undefined && blockNo != 0 && blockCount == run.count && blockNo != run.next){
+                throw new Error("uf2.js: ERROR: Block " + index + " is numbered " + blockNo + "/" + blockCount +
+                                ", expected " + run.next + "/" + run.count);
+            }
+
+            lastRun = {next: blockNo+1, count: blockCount};
+            runs.set(familyId, lastRun);
+
+            blocks.push({
+                flags,
+                address,
+                size,
+                blockNo,
+                blockCount,
+                familyId,
+                fileSize,
+                data: data.slice(offset+DATA_OFFSET, offset+DATA_OFFSET+size)
+            });
+        }
+
+        if(lastRun.next != lastRun.count){
+            throw new Error("uf2.js: ERROR: File ends after block " + (lastRun.next-1) + ", expected " + lastRun.count + " blocks");
+        }
+
+        return new UF2(blocks);
+    }
+
+
+    // Builds a UF2 that places `binary` at `address`, split into 256 byte payloads.
+    // Blocks are only flagged as having a family ID if `familyId` is given
+    static fromBinary(binary, address, familyId){
+        const data = new Uint8Array(binary);
+        const blockCount = Math.ceil(data.byteLength/FLASH_PAGE_SIZE);
+
+        let blocks = [];
+        for(let i=0; i<blockCount; i++){
+            // Last block is zero padded if the data isn't a multiple of the payload size
+            const payload = new Uint8Array(FLASH_PAGE_SIZE);
+            payload.set(data.subarray(i*FLASH_PAGE_SIZE, (i+1)*FLASH_PAGE_SIZE));
+
+            blocks.push({
+                flags:      familyId === undefined ? 0 : UF2_FLAGS.FAMILY_ID_PRESENT,
+                address:    address + i*FLASH_PAGE_SIZE,
+                size:       FLASH_PAGE_SIZE,
+                blockNo:    i,
+                blockCount: blockCount,
+                familyId:   familyId ?? null,
+                fileSize:   familyId === undefined ? 0 : null,
+                data:       payload
+            });
+        }
+
+        return new UF2(blocks);
+    }
+
+
+    // Returns the blocks that should be written to flash (skips blocks
+    // flagged as not main flash and file container blocks)
+    flashBlocks(){
+        return this.blocks.filter(block => !(block.flags & (UF2_FLAGS.NOT_MAIN_FLASH | UF2_FLAGS.FILE_CONTAINER)));
+    }
+
+
+    // Returns the list of unique family IDs in the file (`null`
+    // for blocks that don't have a family ID)
+    familyIds(){
+        return [...new Set(this.blocks.map(block => block.familyId))];
+    }
+
+
+    // Returns a new UF2 with only the blocks tagged with one of the given family IDs,
+    // blocks are renumbered so the result is a valid UF2 file by itself
+    filterFamily(...familyIds){
+        const blocks = this.blocks.filter(block => familyIds.includes(block.familyId));
+
+        return new UF2(blocks.map((block, i) => ({...block, blockNo: i, blockCount: blocks.length})));
+    }
+
+
+    // Builds the UF2 file bytes for the blocks in this UF2
+    toUint8Array(){
+        const uf2     = new Uint8Array(this.blocks.length*BLOCK_SIZE);
+        const uf2View = new DataView(uf2.buffer);
+
+        this.blocks.forEach((block, i) => {
+            const offset = i*BLOCK_SIZE;
+
+            // Blocks without a family ID keep their file size word
+            const familyIdOrSize = (block.flags & UF2_FLAGS.FAMILY_ID_PRESENT) ? block.familyId : (block.fileSize ?? 0);
+
+            uf2View.setUint32(offset+0,            UF2_MAGIC.START0,       true);
+            uf2View.setUint32(offset+4,            UF2_MAGIC.START1,       true);
+            uf2View.setUint32(offset+8,            block.flags,            true);
+            uf2View.setUint32(offset+12,           block.address,          true);
+            uf2View.setUint32(offset+16,           block.data.byteLength,  true);
+            uf2View.setUint32(offset+20,           block.blockNo,          true);
+            uf2View.setUint32(offset+24,           block.blockCount,       true);
+            uf2View.setUint32(offset+28,           familyIdOrSize,         true);
+            uf2View.setUint32(offset+BLOCK_SIZE-4, UF2_MAGIC.END,          true);
+
+            uf2.set(block.data, offset+DATA_OFFSET);
+        });
+
+        return uf2;
+    }
+}
@@ -0,0 +1,232 @@
+// One-click firmware update for boards that are running MicroPython, no BOOTSEL button
+// needed. Over the serial REPL the running firmware is asked to reboot into BOOTSEL
+// (`machine.bootloader()`), the PICOBOOT device that shows up is flashed with
+// `Picotool.load()` and rebooted, then the serial port is waited for again so the new
+// version can be confirmed through the REPL
+//
+// Events (dispatched on the `Updater` instance):
+// * "progress": `event.detail.phase` says what's happening, in order:
+//   * "bootloader": Reading the running version and rebooting into BOOTSEL
+//   * "bootsel":    Waiting for the PICOBOOT device to enumerate
+//   * "connect", "erase", "write", "verify", "reboot": Flashing, `event.detail` is the `Picotool` "progress" detail
+//   * "serial":     Waiting for the serial port to come back
+//   * "confirm":    Reading the new version
+
+import Picoboot, {PICOBOOT_USB_FILTERS} from "./picoboot.js";
+import Picotool from "./picotool.js";
+import Pyboard, {PyboardError} from "./pyboard.js";
+
+
+const POLL_INTERVAL = 250;  // ms between looking for the PICOBOOT device
+const REPL_ATTEMPTS = 5;    // Freshly booted firmware can take a moment to get to the REPL
+
+
+function sleep(ms){
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+
+export default class Updater extends EventTarget{
+    // `serial` is a connected `Serial` to the board's MicroPython REPL and `firmware`
+    // is anything `Picotool.load()` accepts. Options:
+    // * version:        Version the board should report after the update (e.g. "v1.24.0"), compared to
+    //                   `os.uname().release`. Defaults to the version in the firmware's binary info, not checked
+    //                   if there isn't one
+    // * loadOptions:    Other options passed to `Picotool.load()` (e.g. `verify`, `signal`)
+    // * filters:        `navigator.usb` filters for the BOOTSEL device, defaults to any RP2040/RP2350
+    // * requestDevice:  Async function that returns the BOOTSEL `USBDevice`, called when no authorized
+    //                   device turns up in time. WebUSB needs permission for the BOOTSEL device once and
+    //                   `navigator.usb.requestDevice()` needs a user gesture, so this usually asks the
+    //                   user to click a button
+    // * bootselTimeout: ms to wait for the BOOTSEL device, defaults to 10000
+    // * serialTimeout:  ms to wait for the serial port after flashing, defaults to 20000
+    constructor(serial, firmware, options={}){
+        super();
+
+        this.serial         = serial;
+        this.firmware       = firmware;
+        this.version        = options.version ?? null;
+        this.loadOptions    = options.loadOptions ?? {};
+        this.filters        = options.filters ?? PICOBOOT_USB_FILTERS;
+        this.requestDevice  = options.requestDevice ?? null;
+        this.bootselTimeout = options.bootselTimeout ?? 10000;
+        this.serialTimeout  = options.serialTimeout ?? 20000;
+    }
+
+
+    #progress(detail){
+        this.dispatchEvent(new CustomEvent("progress", {detail}));
+    }
+
+
+    // Version to confirm after the update, see the `version` option
+    async #expectedVersion(){
+        if(this.version !== null){
+            return this.version;
+        }
+
+        try{
+            const info = await new Picotool(null).info(this.firmware);
+            return info?.version ?? null;
+        }catch(error){
+            return null;
+        }
+    }
+
+
+    // Enters the raw REPL, retrying while freshly booted firmware gets going
+    async #enterRawRepl(pyboard){
+        for(let attempt=1; ; attempt++){
+            try{
+                await pyboard.enterRawRepl(false);
+                return;
+            }catch(error){
+                if(!(error instanceof PyboardError) || attempt == REPL_ATTEMPTS){
+                    throw error;
+                }
+            }
+        }
+    }
+
+
+    // Returns if the firmware described by `Pyboard.deviceInfo()` is `expectedVersion`
+    #isVersion(info, expectedVersion){
+        return Picotool.compareVersions(info.uname.release, expectedVersion) == 0;
+    }
+
+
+    // Compares the version the board is running with the firmware's (see the `version` option).
+    // Resolves to `{installedVersion, expectedVersion, comparison}` where `comparison` is negative
+    // if the board runs older firmware, positive if it runs newer firmware (updating would downgrade
+    // it, worth a warning) and 0 if they're the same. `expectedVersion` and `comparison` are `null`
+    // when there's no version to compare with. Leaves the board in the friendly REPL
+    async checkVersion(){
+        const expectedVersion = await this.#expectedVersion();
+
+        const pyboard = new Pyboard(this.serial);
+        await this.#enterRawRepl(pyboard);
+        const info = await pyboard.deviceInfo();
+        await pyboard.exitRawRepl();
+
+        return {
+            installedVersion: info.uname.release,
+            expectedVersion,
+            comparison: expectedVersion === null ? null : Picotool.compareVersions(info.uname.release, expectedVersion)
+        };
+    }
+
+
+    // Returns if the board runs older firmware than the firmware's version (always `true` when
+    // there's no version to compare with). Boards on newer firmware don't need an update, see
+    // `checkVersion()` to warn before downgrading them. Leaves the board in the friendly REPL
+    async needsUpdate(){
+        const {comparison} = await this.checkVersion();
+        return comparison === null || comparison < 0;
+    }
+
+
+    // Waits for the board's PICOBOOT device. It's picked by serial number, or if there is
+    // no match it's the first one that wasn't already plugged in before (`present`)
+    async #waitForPicoboot(uniqueId, present){
+        const deadline = Date.now() + this.bootselTimeout;
+
+        while(Date.now() < deadline){
+            const devices = await Picoboot.authorizedDevices(this.filters);
+            const device  = devices.find(device => device.serialNumber == uniqueId) ??
+                            devices.find(device => !present.includes(device.serialNumber));
+
+            if(device !== undefined){
+                return device;
+            }
+
+            await sleep(POLL_INTERVAL);
+        }
+
+        if(this.requestDevice !== null){
+            return await this.requestDevice();
+        }
+
+        throw new Error("updater.js: ERROR: Board did not show up in BOOTSEL mode within " + this.bootselTimeout + "ms " +
+                        "(it may not be authorized yet, see the `requestDevice` option)");
+    }
+
+
+    // Waits for `Serial` to see the port come back and reopens it with the same options
+    #waitForSerial(){
+        if(this.serial.connected()){
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const onReconnect = async (event) => {
+                clearTimeout(timer);
+                this.serial.removeEventListener("reconnect", onReconnect);
+
+                try{
+                    if(!this.serial.connected()){
+                        await this.serial.open(event.detail.port, this.serial.openOptions);
+                    }
+                    resolve();
+                }catch(error){
+                    reject(error);
+                }
+            }
+
+            const timer = setTimeout(() => {
+                this.serial.removeEventListener("reconnect", onReconnect);
+                reject(new Error("updater.js: ERROR: Serial port did not come back within " + this.serialTimeout + "ms after flashing"));
+            }, this.serialTimeout);
+
+            this.serial.addEventListener("reconnect", onReconnect);
+        });
+    }
+
+
+    // Runs the whole update (see `needsUpdate()` to check first). Resolves to `{previousVersion, version, expectedVersion}` (the
+    // `os.uname().release` strings from before and after), throws if any step fails or the
+    // board doesn't report the expected version afterwards
+    async update(){
+        const expectedVersion = await this.#expectedVersion();
+
+        // Step #1: Find out what's running and reboot into BOOTSEL
+        this.#progress({phase: "bootloader"});
+        const pyboard  = new Pyboard(this.serial);
+        await this.#enterRawRepl(pyboard);
+        const previous = await pyboard.deviceInfo();
+        const present  = (await Picoboot.authorizedDevices(this.filters)).map(device => device.serialNumber);
+
+        try{
+            await pyboard.execRawNoFollow("import machine\nmachine.bootloader()");
+        }catch(error){
+            // The port can go away before the device gets to acknowledge the code
+            if(this.serial.connected()){
+                throw error;
+            }
+        }
+
+        // Step #2: Flash the board once it is in BOOTSEL, `Picotool` reboots it
+        this.#progress({phase: "bootsel"});
+        const device   = await this.#waitForPicoboot(previous.uniqueId, present);
+        const picoboot = new Picoboot();
+        const picotool = new Picotool(picoboot);
+        picotool.addEventListener("progress", (event) => this.#progress(event.detail));
+
+        await picoboot.open(device);
+        await picotool.load(this.firmware, undefined, this.loadOptions);
+
+        // Step #3: Wait for the new firmware's REPL and check its version
+        this.#progress({phase: "serial"});
+        await this.#waitForSerial();
+
+        this.#progress({phase: "confirm"});
+        await this.#enterRawRepl(pyboard);
+        const current = await pyboard.deviceInfo();
+        await pyboard.exitRawRepl();
+
+        if(expectedVersion !== null && !this.#isVersion(current, expectedVersion)){
+            throw new Error("updater.js: ERROR: Board reports version " + JSON.stringify(current.uname.release) + " after the update, expected " + JSON.stringify(expectedVersion));
+        }
+
+        return {previousVersion: previous.uname.release, version: current.uname.release, expectedVersion};
+    }
+}